@@ -0,0 +1,77 @@
+/**
+ * Cancel render jobs
+ *
+ * POST /api/cancel-render with `{ jobId }` or `{ listingId }` (every unfinished job for the listing).
+ * With `exceptIdempotencyKey`, the job queued with that idempotency key is left running.
+ * Requests must be HMAC-signed with RENDER_API_SECRET (see src/utils/requestSigning.js).
+ *
+ * The cancel is recorded on the job and picked up by the instance running it
+ * within a few seconds. The job then stops rendering, deletes what it already
+ * uploaded and ends as `cancelled` without touching the listing.
+ */
+
+import {
+  getRenderJob,
+  findRenderJobByIdempotencyKey,
+  formatRenderJob,
+  requestRenderJobCancel,
+  ACTIVE_JOB_STATUSES,
+} from '../src/utils/renderJobs.js';
+import { createSignedHandler } from '../src/utils/signedHandler.js';
+import { logger } from '../src/utils/logger.js';
+
+export default createSignedHandler(handleCancelRequest, { name: 'cancel' });
+
+async function handleCancelRequest(req, res, { body }) {
+  const { jobId, listingId, exceptIdempotencyKey } = body;
+
+  if (!jobId && !listingId) {
+    return res.status(400).json({ error: 'Missing required parameter: jobId or listingId' });
+  }
+
+  try {
+    // A redelivered event must not cancel the render it queued the first time
+    const keptJob = exceptIdempotencyKey && await findRenderJobByIdempotencyKey(exceptIdempotencyKey);
+    const jobs = await requestRenderJobCancel({ jobId, listingId, keepJobId: keptJob?.id });
+
+    if (jobId && jobs.length === 0) {
+      const job = await getRenderJob(jobId);
+
+      if (!job) {
+        return res.status(404).json({ error: `Render job not found: ${jobId}` });
+      }
+
+      // Already cancelling is not an error - cancel requests may be retried
+      if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+        return res.status(409).json({
+          ...formatRenderJob(job),
+          success: false,
+          error: `Render job already ${job.status}`,
+        });
+      }
+
+      jobs.push(job);
+    }
+
+    logger.info('Render cancel requested', { jobId, listingId, jobIds: jobs.map((job) => job.id) });
+
+    return res.status(202).json({
+      success: true,
+      jobs: jobs.map(formatRenderJob),
+      message: jobs.length > 0 ? 'Cancel requested' : 'No unfinished render jobs',
+    });
+
+  } catch (error) {
+    logger.error('Failed to cancel render', { jobId, listingId, error });
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+// The signature covers the raw body (see signedHandler.js)
+export const config = {
+  api: { bodyParser: false },
+};
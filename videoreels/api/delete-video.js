@@ -0,0 +1,53 @@
+/**
+ * Delete a listing's stored videos
+ *
+ * POST /api/delete-video with `{ listingId, listingData? }`. `listingData` is the
+ * last known listing row, for listings that have already been deleted.
+ * Requests must be HMAC-signed with RENDER_API_SECRET (see src/utils/requestSigning.js).
+ *
+ * Unfinished render jobs for the listing are cancelled first, so none of them
+ * can write a video back afterwards. Then every file recorded for the listing is
+ * deleted from storage and, if the listing still exists, its media columns are cleared.
+ */
+
+import { requestRenderJobCancel } from '../src/utils/renderJobs.js';
+import { deleteListingVideos } from '../src/utils/videoVersions.js';
+import { createSignedHandler } from '../src/utils/signedHandler.js';
+import { logger } from '../src/utils/logger.js';
+
+export default createSignedHandler(handleDeleteRequest, { name: 'delete' });
+
+async function handleDeleteRequest(req, res, { body }) {
+  const { listingId, listingData } = body;
+
+  if (!listingId) {
+    return res.status(400).json({ error: 'Missing required parameter: listingId' });
+  }
+
+  try {
+    const cancelledJobs = await requestRenderJobCancel({ listingId });
+    const deletedFiles = await deleteListingVideos({ listingId, listingData });
+
+    logger.info('Listing videos deleted', { listingId, deletedFiles, cancelledJobs: cancelledJobs.length });
+
+    return res.status(200).json({
+      success: true,
+      listingId,
+      deletedFiles,
+      cancelledJobs: cancelledJobs.map((job) => job.id),
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete listing videos', { listingId, error });
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+// The signature covers the raw body (see signedHandler.js)
+export const config = {
+  api: { bodyParser: false },
+};
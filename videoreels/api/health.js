@@ -1,13 +1,53 @@
-// Simple health check endpoint
-export default function handler(req, res) {
-  res.status(200).json({
+/**
+ * Health check endpoint
+ *
+ * GET /api/health          - Liveness: the function runs and its env vars are set
+ * GET /api/health?ready=1  - Readiness: ffmpeg, Chromium, bundle, soundtrack, database
+ *                            and storage are checked (see src/utils/readinessChecks.js).
+ *                            Responds 503 if any check fails.
+ *
+ * Readiness starts Chromium and writes to storage, so it needs
+ * `Authorization: Bearer <CRON_SECRET>`. Liveness stays public.
+ */
+
+import { runReadinessChecks } from '../src/utils/readinessChecks.js';
+import { isCronRequest } from '../src/utils/signedHandler.js';
+import { logger } from '../src/utils/logger.js';
+
+export default async function handler(req, res) {
+  const response = {
     status: 'ok',
     service: 'PeerMetals Video Reels',
     timestamp: new Date().toISOString(),
     env: {
       hasSupabaseUrl: !!process.env.NEXT_PUBLIC_SUPABASE_URL,
-      hasSupabaseKey: !!process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+      hasServiceRoleKey: !!process.env.SUPABASE_SERVICE_ROLE_KEY,
+      hasRenderApiSecret: !!process.env.RENDER_API_SECRET,
       hasGeminiKey: !!process.env.NEXT_PUBLIC_GEMINI_API_KEY,
     }
+  };
+
+  if (!req.query?.ready) {
+    return res.status(200).json(response);
+  }
+
+  if (!isCronRequest(req)) {
+    logger.warn('Rejected readiness check', { reason: 'Missing or invalid cron secret' });
+    return res.status(401).json({ success: false, error: 'Missing or invalid cron secret' });
+  }
+
+  const startTime = Date.now();
+  const { status, checks } = await runReadinessChecks();
+  const failed = checks.filter((check) => check.status === 'fail');
+
+  if (failed.length > 0) {
+    logger.warn('Readiness check failed', { failed });
+  }
+
+  return res.status(status === 'pass' ? 200 : 503).json({
+    ...response,
+    status,
+    durationMs: Date.now() - startTime,
+    checks,
   });
 }
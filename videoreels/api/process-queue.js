@@ -0,0 +1,55 @@
+/**
+ * Render queue worker
+ *
+ * Claims the next queued render job that fits the limits and runs it in this
+ * invocation (see src/utils/renderQueue.js). Called:
+ * - by a finished or newly claimed job, as a POST signed with RENDER_API_SECRET
+ * - every minute by the Vercel cron in vercel.json, as a GET with `Authorization: Bearer <CRON_SECRET>`
+ */
+
+import { waitUntil } from '@vercel/functions';
+import { startNextRenderJob } from '../src/utils/renderQueue.js';
+import { formatRenderJob } from '../src/utils/renderJobs.js';
+import { createSignedHandler } from '../src/utils/signedHandler.js';
+import { logger } from '../src/utils/logger.js';
+
+export default createSignedHandler(handleQueueRequest, {
+  name: 'queue',
+  methods: ['POST', 'GET'],
+  allowCron: true,
+  logContext: { source: 'queue' },
+});
+
+async function handleQueueRequest(req, res) {
+  try {
+    const next = await startNextRenderJob();
+
+    if (!next) {
+      return res.status(200).json({ success: true, message: 'No render job can start' });
+    }
+
+    // Keep the function alive for the render after the response is sent
+    waitUntil(next.done);
+
+    return res.status(202).json({
+      success: true,
+      ...formatRenderJob(next.job),
+      message: 'Render job started',
+    });
+
+  } catch (error) {
+    logger.error('Failed to process render queue', { error });
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+// Same limits as api/render-video.js - the claimed job renders in this invocation
+export const config = {
+  maxDuration: 900,
+  memory: 3008,
+  api: { bodyParser: false },
+};
@@ -0,0 +1,41 @@
+/**
+ * Render job status endpoint
+ *
+ * GET /api/render-status?jobId=<id>
+ */
+
+import { getRenderJob, formatRenderJob } from '../src/utils/renderJobs.js';
+import { logger } from '../src/utils/logger.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { jobId } = req.query;
+
+  if (!jobId) {
+    return res.status(400).json({ error: 'Missing required parameter: jobId' });
+  }
+
+  try {
+    const job = await getRenderJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: `Render job not found: ${jobId}` });
+    }
+
+    return res.status(200).json({
+      success: true,
+      ...formatRenderJob(job),
+    });
+
+  } catch (error) {
+    logger.error('Failed to fetch render job', { jobId, error });
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
@@ -2,46 +2,59 @@
  * Vercel Serverless Function for Video Rendering
  * Uses Remotion to render videos on Vercel with Fluid Compute
  *
+ * Requests must be HMAC-signed with RENDER_API_SECRET (see src/utils/requestSigning.js).
+ *
+ * Rendering runs in the background: POST returns a job ID right away and
+ * progress is polled from /api/render-status?jobId=<id>. Jobs wait in the
+ * render queue until the concurrency limit and the seller's quota allow them
+ * to start (see src/utils/renderQueue.js).
+ * With `dryRun: true` the resolved props are returned instead and nothing is rendered.
+ * `template` picks the reel template; without it one is chosen from the listing's categories.
+ *
+ * Every log entry for a request and its job carries the same requestId
+ * (Vercel's x-vercel-id), so one render can be followed across the logs.
+ *
  * This endpoint supports up to 15 minutes execution time with Fluid Compute
  */
 
-import { bundle } from '@remotion/bundler';
-import { renderMedia, selectComposition } from '@remotion/renderer';
-import { createClient } from '@supabase/supabase-js';
-import { generateDetailedDescription } from '../src/utils/generateDescription.js';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import fs from 'fs';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Determine the correct project root
-// In Vercel, __dirname will be /var/task/videoreels/api
-// We need to go up to /var/task/videoreels
-const projectRoot = path.join(__dirname, '..');
-
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.NEXT_PUBLIC_SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
-);
+import { waitUntil } from '@vercel/functions';
+import { createRenderJob, findRenderJobByIdempotencyKey, formatRenderJob } from '../src/utils/renderJobs.js';
+import { dryRunRender } from '../src/utils/renderPipeline.js';
+import { SELLER_TIERS, expireStaleRenderJobs, resolveSellerTier, startNextRenderJob } from '../src/utils/renderQueue.js';
+import { createSignedHandler } from '../src/utils/signedHandler.js';
+import {
+  resolveFormats,
+  resolveDurationLimits,
+  resolveScenes,
+  resolveTemplate,
+  checkDurationFitsScenes,
+} from '../src/utils/videoFormats.js';
+import { resolvePosterOptions } from '../src/utils/posterOptions.js';
+import { resolveOutputs } from '../src/utils/videoOutputs.js';
+import { resolveQuality } from '../src/utils/qualityPresets.js';
+import { logger } from '../src/utils/logger.js';
 
 /**
  * Main handler for video rendering
  */
-export default async function handler(req, res) {
-  // Only allow POST requests
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+export default createSignedHandler(handleRenderRequest, { name: 'render' });
+
+function respondWithExistingJob(res, job) {
+  logger.info('Render job already queued for idempotency key', { jobId: job.id });
 
-  const startTime = Date.now();
-  console.log('🎬 Video render request received');
+  return res.status(200).json({
+    success: true,
+    ...formatRenderJob(job),
+    statusUrl: `/api/render-status?jobId=${job.id}`,
+    message: 'Video render already queued',
+  });
+}
+
+async function handleRenderRequest(req, res, { body, requestId }) {
+  logger.info('Video render request received');
 
   try {
-    // Parse request body
-    const { listingId, listingData } = req.body;
+    const { listingId, listingData, force = false, dryRun = false, idempotencyKey } = body;
 
     if (!listingId && !listingData) {
       return res.status(400).json({
@@ -49,169 +62,114 @@ export default async function handler(req, res) {
       });
     }
 
-    let listing = listingData;
-
-    // Fetch listing data from Supabase if only ID provided
-    if (listingId && !listingData) {
-      console.log(`📋 Fetching listing data for ID: ${listingId}`);
-      const { data, error } = await supabase
-        .from('listings')
-        .select('*')
-        .eq('id', listingId)
-        .single();
+    let formats;
+    let poster;
+    let outputs;
+    let quality;
+    let durationLimits;
+    let scenes;
+    let template;
+    try {
+      formats = resolveFormats(body.formats);
+      poster = resolvePosterOptions(body.poster);
+      outputs = resolveOutputs(body.outputs);
+      quality = resolveQuality(body.quality);
+      durationLimits = resolveDurationLimits(body.duration);
+      scenes = resolveScenes(body.scenes);
+      template = resolveTemplate(body.template);
+      checkDurationFitsScenes(durationLimits, scenes, template);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-      if (error || !data) {
-        throw new Error(`Failed to fetch listing: ${error?.message}`);
+    // "false" would be truthy - only real booleans are accepted
+    for (const [name, value] of Object.entries({ force, dryRun })) {
+      if (typeof value !== 'boolean') {
+        return res.status(400).json({ error: `${name} must be a boolean` });
       }
+    }
 
-      listing = data;
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !idempotencyKey)) {
+      return res.status(400).json({ error: 'idempotencyKey must be a non-empty string' });
     }
 
-    // Fetch seller profile
-    console.log(`👤 Fetching seller profile for user: ${listing.user_id}`);
-    const { data: sellerProfile } = await supabase
-      .from('profiles')
-      .select('username, full_name, avatar_url')
-      .eq('id', listing.user_id)
-      .single();
-
-    const seller = sellerProfile || {
-      username: 'peermetals_seller',
-      full_name: 'PeerMetals Seller',
-    };
-
-    // Generate AI description
-    console.log('🤖 Generating AI description...');
-    const aiDescription = await generateDetailedDescription({
-      title: listing.title,
-      description: listing.description,
-      specifications: {
-        category: listing.tier1_category || listing.tier2_category,
-        condition: listing.condition,
-        weight: listing.weight,
-        purity: listing.purity,
-        year: listing.year,
-      },
-    });
+    if (dryRun) {
+      // Resolve props synchronously - no job, bundle or render
+      const preview = await dryRunRender({ listingId, listingData, formats, durationLimits, scenes, template });
+      return res.status(200).json({ success: true, dryRun: true, ...preview });
+    }
 
-    // Prepare video input props
-    const videoInputProps = {
-      listingTitle: listing.title,
-      listingDescription: aiDescription,
-      images: listing.images || [],
-      specifications: {
-        category: listing.tier1_category || listing.tier2_category,
-        condition: listing.condition,
-        weight: listing.weight ? `${listing.weight} oz` : undefined,
-        purity: listing.purity,
-        year: listing.year,
-      },
-      sellerName: seller.full_name || seller.username,
-      logoUrl: 'https://peermetals.com/peermetals.png',
-    };
-
-    console.log('📦 Bundling Remotion project...');
-    const bundleLocation = await bundle({
-      entryPoint: path.join(projectRoot, 'src', 'index.js'),
-      webpackOverride: (config) => config,
-    });
+    // A retried request gets the job it already created instead of a second render.
+    // Dead jobs are ended first so they neither answer the retry nor hold its key.
+    if (idempotencyKey) {
+      await expireStaleRenderJobs();
 
-    console.log('🎯 Selecting composition...');
-    const composition = await selectComposition({
-      serveUrl: bundleLocation,
-      id: 'ListingReel',
-      inputProps: videoInputProps,
-    });
+      const existing = await findRenderJobByIdempotencyKey(idempotencyKey);
+      if (existing) {
+        return respondWithExistingJob(res, existing);
+      }
+    }
 
-    console.log(`✅ Composition: ${composition.id}, ${composition.durationInFrames} frames`);
-
-    // Generate output filename
-    const outputFileName = `listing-${listing.id}-${Date.now()}.mp4`;
-    const outputPath = path.join('/tmp', outputFileName);
-
-    console.log('🎥 Rendering video...');
-    console.log(`   Output: ${outputPath}`);
-
-    // Render the video
-    await renderMedia({
-      composition,
-      serveUrl: bundleLocation,
-      codec: 'h264',
-      outputLocation: outputPath,
-      inputProps: videoInputProps,
-      onProgress: ({ progress, renderedFrames }) => {
-        const percent = Math.round(progress * 100);
-        if (renderedFrames % 60 === 0) {
-          console.log(`   📊 Progress: ${percent}% (${renderedFrames}/${composition.durationInFrames} frames)`);
-        }
-      },
-      // Performance settings
-      concurrency: '100%', // Use all available CPU on Vercel
-      crf: 28,
-      pixelFormat: 'yuv420p',
-      chromiumOptions: {
-        gl: 'angle',
+    const { sellerId, tier } = await resolveSellerTier({ listingId, listingData });
+
+    const job = await createRenderJob({
+      listingId: listingId || listingData.id,
+      sellerId,
+      tier,
+      priority: SELLER_TIERS[tier].priority,
+      idempotencyKey,
+      params: {
+        requestId,
+        listingId,
+        listingData,
+        formats,
+        poster,
+        outputs,
+        quality,
+        force,
+        durationLimits,
+        scenes,
+        template,
       },
     });
 
-    console.log('✅ Video rendered successfully!');
-
-    // Upload to Supabase Storage
-    console.log('📤 Uploading to Supabase Storage...');
-    const videoBuffer = fs.readFileSync(outputPath);
-    const storagePath = `video-reels/${outputFileName}`;
-
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from('listings')
-      .upload(storagePath, videoBuffer, {
-        contentType: 'video/mp4',
-        cacheControl: '3600',
-      });
-
-    if (uploadError) {
-      throw new Error(`Upload failed: ${uploadError.message}`);
+    // A concurrent request with the same key inserted its job between the lookup and ours
+    if (!job) {
+      const existing = await findRenderJobByIdempotencyKey(idempotencyKey);
+      if (existing) {
+        return respondWithExistingJob(res, existing);
+      }
+      throw new Error('Render job for idempotency key was neither created nor found');
     }
 
-    // Get public URL
-    const { data: { publicUrl } } = supabase.storage
-      .from('listings')
-      .getPublicUrl(storagePath);
-
-    console.log(`✅ Video uploaded: ${publicUrl}`);
+    logger.info('Render job queued', { jobId: job.id, listingId: job.listing_id, sellerId, tier });
 
-    // Update listing with video URL
-    const { error: updateError } = await supabase
-      .from('listings')
-      .update({ video_url: publicUrl })
-      .eq('id', listing.id);
+    // Run a job here if the limits allow - not necessarily this one, if others are ahead of it.
+    // If nothing can start, /api/process-queue picks the job up once a slot frees up.
+    const next = await startNextRenderJob().catch((error) => {
+      logger.warn('Failed to start render job', { error });
+      return null;
+    });
 
-    if (updateError) {
-      console.error('Failed to update listing with video URL:', updateError);
+    if (next) {
+      // Keep the function alive for the render after the response is sent
+      waitUntil(next.done);
     }
 
-    // Clean up temp file
-    fs.unlinkSync(outputPath);
-
-    const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`🎉 Complete! Total time: ${totalTime}s`);
-
-    return res.status(200).json({
+    return res.status(202).json({
       success: true,
-      videoUrl: publicUrl,
-      listingId: listing.id,
-      renderTime: totalTime,
-      message: 'Video rendered and uploaded successfully',
+      ...formatRenderJob(job),
+      statusUrl: `/api/render-status?jobId=${job.id}`,
+      message: 'Video render queued',
     });
 
   } catch (error) {
-    console.error('❌ Video render failed:', error);
-    const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    logger.error('Failed to queue video render', { error });
 
     return res.status(500).json({
       success: false,
       error: error.message,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-      renderTime: totalTime,
     });
   }
 }
@@ -220,4 +178,5 @@ export default async function handler(req, res) {
 export const config = {
   maxDuration: 900, // 15 minutes with Fluid Compute (requires Pro plan)
   memory: 3008, // Maximum memory allocation
+  api: { bodyParser: false }, // The signature covers the raw body (see signedHandler.js)
 };
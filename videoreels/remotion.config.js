@@ -1,19 +1,21 @@
 import { Config } from '@remotion/cli/config';
+import { QUALITY_PRESETS, CHROMIUM_OPTIONS, resolveQuality } from './src/utils/qualityPresets.js';
+
+// Same quality settings as the render API (see src/utils/qualityPresets.js).
+// Pick another preset with REMOTION_QUALITY=draft|standard|premium
+const preset = QUALITY_PRESETS[resolveQuality(process.env.REMOTION_QUALITY || undefined)];
 
-// Optimized settings for faster rendering while maintaining quality
-Config.setVideoImageFormat('jpeg');
 Config.setOverwriteOutput(true);
 Config.setCodec('h264');
-
-// Increase concurrency based on available CPU cores (auto-detect or use max)
-Config.setConcurrency('50%'); // Uses 50% of available CPU cores for better performance
-
-// Faster encoding preset
-Config.setFfmpegExecutable('ffmpeg');
-
-// Quality settings - CRF 28 is faster than 23, still good quality
-Config.setCrf(28); // Higher = faster encoding, slightly lower quality (23-28 is good range)
 Config.setPixelFormat('yuv420p');
 
-// Enable faster processing
-Config.setChromiumOpenGlRenderer('angle'); // Use ANGLE for faster rendering
+Config.setVideoImageFormat(preset.imageFormat);
+if (preset.imageFormat === 'jpeg') {
+  Config.setJpegQuality(preset.jpegQuality);
+}
+Config.setScale(preset.scale);
+Config.setConcurrency(preset.concurrency);
+Config.setCrf(preset.crf);
+Config.setX264Preset(preset.x264Preset);
+
+Config.setChromiumOpenGlRenderer(CHROMIUM_OPTIONS.gl);
@@ -0,0 +1,27 @@
+/**
+ * Prebuild the Remotion bundle at deploy time
+ *
+ * Run from the videoreels directory:
+ * npm run bundle
+ */
+
+import fs from 'fs';
+import { createBundle, PREBUILT_BUNDLE_DIR } from '../src/utils/bundleCache.js';
+
+async function prebuildBundle() {
+  try {
+    const startTime = Date.now();
+    console.log('📦 Prebuilding Remotion bundle...');
+
+    fs.rmSync(PREBUILT_BUNDLE_DIR, { recursive: true, force: true });
+    const bundleLocation = await createBundle({ outDir: PREBUILT_BUNDLE_DIR });
+
+    const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ Bundle written to ${bundleLocation} in ${totalTime}s`);
+  } catch (error) {
+    console.error('❌ Bundle failed:', error.message);
+    process.exit(1);
+  }
+}
+
+prebuildBundle();
@@ -0,0 +1,126 @@
+/**
+ * Find files under `video-reels/` in media storage that no listing references
+ *
+ * A file is in use if a listing's media columns point at it, or if it is a
+ * retained older version (tracked in `listing_videos`) of a listing that
+ * still exists. Everything else is an orphan: renders from before version
+ * tracking, listings that were deleted, uploads whose listing update failed.
+ *
+ * A render records its files only once they are all uploaded, so files
+ * uploaded more recently than a render can run (see getStaleRenderAgeMs)
+ * are never reported: they may belong to a render still in progress.
+ *
+ * Run from the videoreels directory with the Supabase env vars set:
+ * npm run storage:orphans              # list orphans
+ * npm run storage:orphans -- --delete  # list and delete them
+ */
+
+import { supabase } from '../src/utils/supabaseClient.js';
+import { getStoragePath, listVideoFiles, removeFiles } from '../src/utils/storageUpload.js';
+import { collectMediaUrls } from '../src/utils/videoVersions.js';
+import { getStaleRenderAgeMs } from '../src/utils/renderCancellation.js';
+
+const PAGE_SIZE = 1000;
+const DELETE_BATCH_SIZE = 100;
+
+// `listing-<id>-<format>-<ms>[-poster|-webm|...].<ext>` - renders name files after their upload time
+const FILE_TIME_PATTERN = /-(\d{13})(?:-[a-z]+)?\.[a-z0-9]+$/;
+
+/**
+ * Whether a file may have been uploaded by a render that is still running.
+ * Files without a time in their name predate the naming scheme.
+ */
+function isRecentUpload(file, now) {
+  const match = FILE_TIME_PATTERN.exec(file);
+  return Boolean(match) && now - Number(match[1]) < getStaleRenderAgeMs();
+}
+
+/**
+ * Read every row of a table, a page at a time
+ */
+async function fetchAll(table, columns, filter = (query) => query) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await filter(supabase.from(table).select(columns))
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to read ${table}: ${error.message}`);
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+async function findOrphanedReels() {
+  const shouldDelete = process.argv.includes('--delete');
+
+  try {
+    console.log('📂 Listing video-reels/ ...');
+    const files = await listVideoFiles();
+
+    console.log('📋 Collecting media referenced by listings...');
+    const listings = await fetchAll(
+      'listings',
+      'id, video_url, video_urls, video_poster_url, video_poster_urls, video_outputs'
+    );
+    const inUse = new Set(await Promise.all(listings.flatMap(collectMediaUrls).map(getStoragePath)));
+
+    const listingIds = new Set(listings.map((listing) => String(listing.id)));
+    const versions = await fetchAll(
+      'listing_videos',
+      'id, listing_id, storage_path',
+      (query) => query.is('deleted_at', null)
+    );
+    for (const version of versions) {
+      if (listingIds.has(String(version.listing_id))) {
+        inUse.add(version.storage_path);
+      }
+    }
+
+    const now = Date.now();
+    const unreferenced = files.filter((file) => !inUse.has(file));
+    const orphans = unreferenced.filter((file) => !isRecentUpload(file, now));
+    const recent = unreferenced.length - orphans.length;
+
+    console.log(`🔎 ${files.length} files, ${orphans.length} orphaned`);
+    if (recent > 0) {
+      console.log(`   (${recent} unreferenced files skipped - uploaded recently, a render may still be using them)`);
+    }
+    orphans.forEach((file) => console.log(`   ${file}`));
+
+    if (!shouldDelete || orphans.length === 0) {
+      if (orphans.length > 0) {
+        console.log('Re-run with --delete to remove them');
+      }
+      return;
+    }
+
+    for (let i = 0; i < orphans.length; i += DELETE_BATCH_SIZE) {
+      const batch = orphans.slice(i, i + DELETE_BATCH_SIZE);
+      await removeFiles(batch);
+
+      const { error } = await supabase
+        .from('listing_videos')
+        .update({ deleted_at: new Date().toISOString() })
+        .in('storage_path', batch);
+
+      if (error) {
+        console.error('Failed to mark deleted files in listing_videos:', error);
+      }
+    }
+
+    console.log(`✅ Deleted ${orphans.length} orphaned files`);
+  } catch (error) {
+    console.error('❌ Orphan scan failed:', error.message);
+    process.exit(1);
+  }
+}
+
+findOrphanedReels();
@@ -0,0 +1,87 @@
+/**
+ * List and replay listings webhook events that could not be handled
+ *
+ * Failed events are saved in `webhook_failures` by webhook/route.js. A replay
+ * handles the saved event exactly like a live delivery; renders it already
+ * queued are not queued again, and deletes or deactivations of a listing
+ * that is active again are skipped as stale (see src/utils/webhookFailures.js).
+ *
+ * Run from the videoreels directory with the Supabase env vars, RENDER_API_URL
+ * and RENDER_API_SECRET set:
+ * npm run webhooks:failed                       # list unresolved failures
+ * npm run webhooks:failed -- --all              # include replayed ones
+ * npm run webhooks:failed -- --replay <id>      # replay one
+ * npm run webhooks:failed -- --replay-all       # replay every unresolved failure
+ */
+
+import { listWebhookFailures, getWebhookFailure, replayWebhookFailure } from '../src/utils/webhookFailures.js';
+
+function describeFailure(failure) {
+  const state = failure.resolved_at ? `replayed ${failure.resolved_at}` : `${failure.attempts} attempt(s)`;
+  return `${failure.id}  ${failure.event_type} listing ${failure.listing_id}  ${state}\n      ${failure.error}`;
+}
+
+async function replay(failure) {
+  const { status, body, failure: updated } = await replayWebhookFailure(failure);
+
+  if (status >= 500) {
+    console.log(`   ❌ ${failure.id}: ${body.error} (${updated.attempts} attempts)`);
+    return false;
+  }
+
+  console.log(`   ✅ ${failure.id}: ${body.message}${body.jobId ? ` (job ${body.jobId})` : ''}`);
+  return true;
+}
+
+async function replayWebhooks() {
+  const replayIndex = process.argv.indexOf('--replay');
+
+  try {
+    if (replayIndex !== -1) {
+      const failureId = process.argv[replayIndex + 1];
+      const failure = failureId && await getWebhookFailure(failureId);
+
+      if (!failure) {
+        throw new Error(`No webhook failure with ID ${failureId}`);
+      }
+
+      console.log('🔁 Replaying webhook event...');
+      if (!await replay(failure)) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    const failures = await listWebhookFailures({ includeResolved: process.argv.includes('--all') });
+
+    if (!process.argv.includes('--replay-all')) {
+      console.log(`📋 ${failures.length} failed webhook events`);
+      failures.forEach((failure) => console.log(`   ${describeFailure(failure)}`));
+
+      if (failures.some((failure) => !failure.resolved_at)) {
+        console.log('Re-run with --replay <id> or --replay-all to replay them');
+      }
+      return;
+    }
+
+    console.log(`🔁 Replaying ${failures.length} webhook events...`);
+
+    // One at a time, oldest first, so events for the same listing apply in order
+    let failed = 0;
+    for (const failure of failures) {
+      if (!await replay(failure)) {
+        failed += 1;
+      }
+    }
+
+    console.log(`✅ ${failures.length - failed} replayed, ${failed} still failing`);
+    if (failed > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Webhook replay failed:', error.message);
+    process.exit(1);
+  }
+}
+
+replayWebhooks();
@@ -1,33 +1,55 @@
 import React from 'react';
 import { Composition } from 'remotion';
-import { ListingReel, listingReelSchema } from './compositions/ListingReel.jsx';
+import { ListingReel } from './compositions/ListingReel.jsx';
+import { listingReelSchema } from './compositions/listingReelSchema.js';
+import { calculateSceneTiming } from './compositions/sceneTiming.js';
+import { REEL_TEMPLATES } from './compositions/reelTemplates.js';
+import { VIDEO_FORMATS, VIDEO_FPS, getCompositionId } from './utils/videoFormats.js';
+
+const defaultProps = {
+  listingTitle: 'Premium Gold Coin',
+  listingDescription: 'Beautiful gold coin in excellent condition',
+  images: [],
+  specifications: {
+    category: 'Gold',
+    condition: 'Mint',
+    weight: '1 oz',
+    purity: '.999',
+    year: '2024',
+  },
+  sellerName: 'PeerMetals Seller',
+  logoUrl: '',
+};
+
+// Component and metadata of each template, created once so compositions keep stable references
+const templateCompositions = Object.keys(REEL_TEMPLATES).map((template) => ({
+  template,
+  component: (props) => <ListingReel {...props} template={template} />,
+  // Length follows the content (photo count, specs present and description length) and the template's pace
+  calculateMetadata: ({ props }) => ({
+    durationInFrames: calculateSceneTiming(props, VIDEO_FPS, template).durationInFrames,
+  }),
+}));
 
 export const RemotionRoot = () => {
   return (
     <>
-      <Composition
-        id="ListingReel"
-        component={ListingReel}
-        durationInFrames={780} // 26 seconds at 30fps (removed Seller Spotlight)
-        fps={30}
-        width={1080}
-        height={1920} // Instagram Reel format (9:16)
-        schema={listingReelSchema}
-        defaultProps={{
-          listingTitle: 'Premium Gold Coin',
-          listingDescription: 'Beautiful gold coin in excellent condition',
-          images: [],
-          specifications: {
-            category: 'Gold',
-            condition: 'Mint',
-            weight: '1 oz',
-            purity: '.999',
-            year: '2024',
-          },
-          sellerName: 'PeerMetals Seller',
-          logoUrl: '',
-        }}
-      />
+      {/* One composition per template and output format: 9:16 reel, 16:9, 1:1 and 4:5 */}
+      {templateCompositions.map(({ template, component, calculateMetadata }) => (
+        Object.entries(VIDEO_FORMATS).map(([format, { width, height }]) => (
+          <Composition
+            key={getCompositionId(template, format)}
+            id={getCompositionId(template, format)}
+            component={component}
+            calculateMetadata={calculateMetadata}
+            fps={VIDEO_FPS}
+            width={width}
+            height={height}
+            schema={listingReelSchema}
+            defaultProps={defaultProps}
+          />
+        ))
+      ))}
     </>
   );
 };
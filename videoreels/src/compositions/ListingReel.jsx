@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { createContext, useContext } from 'react';
 import {
   AbsoluteFill,
   useCurrentFrame,
@@ -11,86 +11,87 @@ import {
   Audio,
   staticFile,
 } from 'remotion';
-import { z } from 'zod';
-
-export const listingReelSchema = z.object({
-  listingTitle: z.string(),
-  listingDescription: z.string(),
-  images: z.array(z.string()),
-  specifications: z.object({
-    category: z.string().optional(),
-    condition: z.string().optional(),
-    weight: z.string().optional(),
-    purity: z.string().optional(),
-    year: z.string().optional(),
-  }),
-  sellerName: z.string(),
-  logoUrl: z.string().optional(),
-});
-
-export const ListingReel = ({
-  listingTitle,
-  listingDescription,
-  images,
-  specifications,
-  sellerName,
-  logoUrl,
-}) => {
-  return (
-    <AbsoluteFill style={{ backgroundColor: '#000' }}>
-      {/* Scene 1: Intro with Zoom & Particles (0-150 frames = 5s) */}
-      <Sequence from={0} durationInFrames={150}>
-        <IntroScene title={listingTitle} image={images[0]} />
-      </Sequence>
-
-      {/* Scene 2: Product Showcase with Ken Burns Effect (150-360 frames = 7s) */}
-      <Sequence from={150} durationInFrames={210}>
-        <ProductShowcaseScene images={images} />
-      </Sequence>
-
-      {/* Scene 3: Split Screen Gallery (360-450 frames = 3s) */}
-      <Sequence from={360} durationInFrames={90}>
-        <SplitScreenScene images={images} />
-      </Sequence>
-
-      {/* Scene 4: Specifications with Animated Cards (450-540 frames = 3s) */}
-      <Sequence from={450} durationInFrames={90}>
-        <SpecificationsScene
-          specifications={specifications}
-          image={images[0]}
-        />
-      </Sequence>
-
-      {/* Scene 5: Why Choose PeerMetals (540-690 frames = 5s) */}
-      <Sequence from={540} durationInFrames={150}>
-        <WhyChoosePeerMetalsScene image={images[0]} />
-      </Sequence>
-
-      {/* Scene 6: Call to Action with Pulse Effect (690-780 frames = 3s) */}
-      <Sequence from={690} durationInFrames={90}>
-        <CTAScene
-          description={listingDescription}
-          sellerName={sellerName}
-        />
-      </Sequence>
+import { calculateSceneTiming } from './sceneTiming.js';
+import { REEL_TEMPLATES, DEFAULT_TEMPLATE } from './reelTemplates.js';
+
+// Theme of the template being rendered, read by every scene through useTheme
+const ThemeContext = createContext(REEL_TEMPLATES[DEFAULT_TEMPLATE].theme);
+
+// animationSpeed of the scene being rendered (see sceneTiming.js), read through useSceneFrame
+const SceneSpeedContext = createContext(1);
+
+// `template` is set by the template's composition in Root.jsx, not passed as a prop
+export const ListingReel = ({ template = DEFAULT_TEMPLATE, ...props }) => {
+  const {
+    listingTitle,
+    listingDescription,
+    images,
+    specifications,
+    sellerName,
+    logoUrl,
+  } = props;
+  const { fps } = useVideoConfig();
 
-      {/* Animated Logo Watermark (always visible, fades in) */}
-      {logoUrl && <LogoWatermark logoUrl={logoUrl} />}
+  // Which scenes play, in what order and for how long follows the props - see sceneTiming.js
+  const { scenes } = calculateSceneTiming(props, fps, template);
+
+  const renderScene = ({ name, durationInFrames }) => {
+    switch (name) {
+      // Intro with Zoom & Particles
+      case 'intro':
+        return <IntroScene title={listingTitle} image={images[0]} />;
+      // Product Showcase with Ken Burns Effect, two seconds per photo
+      case 'showcase':
+        return <ProductShowcaseScene images={images} totalFrames={durationInFrames} />;
+      // Split Screen Gallery (two or more photos)
+      case 'splitScreen':
+        return <SplitScreenScene images={images} />;
+      // Specifications with Animated Cards (any specs present)
+      case 'specifications':
+        return <SpecificationsScene specifications={specifications} image={images[0]} />;
+      // Why Choose PeerMetals
+      case 'whyChoose':
+        return <WhyChoosePeerMetalsScene image={images[0]} />;
+      // Call to Action with Pulse Effect, long enough to read the description
+      case 'cta':
+        return <CTAScene description={listingDescription} sellerName={sellerName} logoUrl={logoUrl} />;
+      default:
+        return null;
+    }
+  };
 
-      {/* Background Audio */}
-      <Audio
-        src={staticFile('genvideo.mp3')}
-        volume={0.3}
-        startFrom={0}
-      />
-    </AbsoluteFill>
+  return (
+    <ThemeContext.Provider value={REEL_TEMPLATES[template].theme}>
+      <AbsoluteFill style={{ backgroundColor: '#000', fontFamily: REEL_TEMPLATES[template].theme.fontFamily }}>
+        {scenes.map((scene) => (
+          <Sequence key={scene.name} from={scene.from} durationInFrames={scene.durationInFrames}>
+            <SceneSpeedContext.Provider value={scene.animationSpeed}>
+              <SceneTransition>{renderScene(scene)}</SceneTransition>
+            </SceneSpeedContext.Provider>
+          </Sequence>
+        ))}
+
+        {/* Animated Logo Watermark (always visible, fades in) */}
+        {logoUrl && <LogoWatermark logoUrl={logoUrl} />}
+
+        {/* Background Audio - the 30s track loops for longer videos */}
+        <Audio
+          src={staticFile('genvideo.mp3')}
+          volume={0.3}
+          startFrom={0}
+          loop
+        />
+      </AbsoluteFill>
+    </ThemeContext.Provider>
   );
 };
 
 // Scene 1: Dramatic Intro with Zoom and Particles
 const IntroScene = ({ title, image }) => {
-  const frame = useCurrentFrame();
+  const frame = useSceneFrame();
   const { fps, width, height } = useVideoConfig();
+  const { scale } = useLayout();
+  const theme = useTheme();
 
   // Dramatic zoom-out effect on image
   const imageScale = interpolate(frame, [0, 40], [2.5, 1], {
@@ -104,7 +105,7 @@ const IntroScene = ({ title, image }) => {
     config: { damping: 80, stiffness: 150, mass: 0.5 },
   });
 
-  const titleY = interpolate(titleSpring, [0, 1], [height, height / 2 - 100]);
+  const titleY = interpolate(titleSpring, [0, 1], [height, height / 2 - 100 * scale]);
 
   // Fade in overlay
   const overlayOpacity = interpolate(frame, [0, 20], [0.9, 0.6]);
@@ -135,7 +136,7 @@ const IntroScene = ({ title, image }) => {
           position: 'absolute',
           width: '100%',
           height: '100%',
-          background: `linear-gradient(135deg, rgba(0,0,0,${overlayOpacity}), rgba(40,20,0,${overlayOpacity * 0.8}))`,
+          background: `linear-gradient(135deg, rgba(0,0,0,${overlayOpacity}), ${withAlpha(theme.tint, overlayOpacity * 0.8)})`,
         }}
       />
 
@@ -174,10 +175,11 @@ const IntroScene = ({ title, image }) => {
               <h1
                 style={{
                   color: 'white',
-                  fontSize: 80,
-                  fontWeight: 'bold',
+                  fontSize: 80 * scale,
+                  fontWeight: theme.titleWeight,
+                  textTransform: theme.titleTransform,
                   margin: 0,
-                  textShadow: '0 8px 24px rgba(0,0,0,0.9), 0 0 40px rgba(223,164,59,0.3)',
+                  textShadow: `0 8px 24px rgba(0,0,0,0.9), 0 0 40px ${withAlpha(theme.accent, 0.3)}`,
                   lineHeight: 1.2,
                 }}
               >
@@ -192,13 +194,13 @@ const IntroScene = ({ title, image }) => {
           style={{
             marginTop: 30,
             height: 6,
-            width: interpolate(frame, [20, 35], [0, 300], {
+            width: interpolate(frame, [20, 35], [0, 300 * scale], {
               extrapolateRight: 'clamp',
             }),
-            background: 'linear-gradient(90deg, #dfa43b, #f4c542)',
+            background: `linear-gradient(90deg, ${theme.accent}, ${theme.highlight})`,
             margin: '30px auto 0',
             borderRadius: 3,
-            boxShadow: '0 0 20px rgba(223,164,59,0.6)',
+            boxShadow: `0 0 20px ${withAlpha(theme.accent, 0.6)}`,
           }}
         />
       </div>
@@ -207,12 +209,12 @@ const IntroScene = ({ title, image }) => {
 };
 
 // Scene 2: Product Showcase with Ken Burns Effect
-const ProductShowcaseScene = ({ images }) => {
+const ProductShowcaseScene = ({ images, totalFrames }) => {
   const frame = useCurrentFrame();
   const { width, height } = useVideoConfig();
+  const { scale } = useLayout();
+  const theme = useTheme();
 
-  // Calculate total frames for this scene (210 frames = 7 seconds)
-  const totalFrames = 210;
   const framesPerImage = Math.floor(totalFrames / Math.max(images.length, 1));
 
   // Cycle through images evenly across the scene duration
@@ -223,7 +225,7 @@ const ProductShowcaseScene = ({ images }) => {
   const currentImage = images[imageIndex] || images[0];
 
   // Ken Burns effect (slow zoom and pan) - smooth across entire scene, no looping
-  const kenBurnsScale = interpolate(frame, [0, totalFrames], [1, 1.2], {
+  const kenBurnsScale = interpolate(frame, [0, totalFrames], [1, theme.kenBurnsZoom], {
     extrapolateRight: 'clamp',
   });
   const kenBurnsPan = interpolate(frame, [0, totalFrames], [0, -50], {
@@ -252,9 +254,9 @@ const ProductShowcaseScene = ({ images }) => {
             height: '85%',
             transform: `scale(${kenBurnsScale}) translateX(${kenBurnsPan}px)`,
             transition: 'transform 0.3s ease-out',
-            borderRadius: 20,
+            borderRadius: 20 * theme.cornerRadius,
             overflow: 'hidden',
-            boxShadow: '0 30px 80px rgba(0,0,0,0.8), 0 0 100px rgba(223,164,59,0.2)',
+            boxShadow: `0 30px 80px rgba(0,0,0,0.8), 0 0 100px ${withAlpha(theme.accent, 0.2)}`,
           }}
         >
           {currentImage && (
@@ -279,7 +281,7 @@ const ProductShowcaseScene = ({ images }) => {
           height: '200%',
           top: '-50%',
           left: '-50%',
-          background: `conic-gradient(from ${spotlightRotation}deg, transparent 0%, rgba(223,164,59,0.1) 10%, transparent 20%)`,
+          background: `conic-gradient(from ${spotlightRotation}deg, transparent 0%, ${withAlpha(theme.accent, 0.1)} 10%, transparent 20%)`,
           opacity: 0.3,
         }}
       />
@@ -289,7 +291,7 @@ const ProductShowcaseScene = ({ images }) => {
         <div
           style={{
             position: 'absolute',
-            bottom: 100,
+            bottom: 100 * scale,
             left: 0,
             right: 0,
             textAlign: 'center',
@@ -309,11 +311,11 @@ const ProductShowcaseScene = ({ images }) => {
                   width: 12,
                   height: 12,
                   borderRadius: '50%',
-                  backgroundColor: '#dfa43b',
+                  backgroundColor: theme.accent,
                   opacity: dotOpacity,
                   transform: `scale(${dotScale})`,
                   transition: 'all 0.3s ease',
-                  boxShadow: index === imageIndex ? '0 0 15px rgba(223,164,59,0.8)' : 'none',
+                  boxShadow: index === imageIndex ? `0 0 15px ${withAlpha(theme.accent, 0.8)}` : 'none',
                 }}
               />
             );
@@ -328,11 +330,17 @@ const ProductShowcaseScene = ({ images }) => {
 
 // Scene 3: Split Screen Gallery
 const SplitScreenScene = ({ images }) => {
-  const frame = useCurrentFrame();
+  const frame = useSceneFrame();
   const { fps } = useVideoConfig();
+  const { scale, columns } = useLayout();
+  const theme = useTheme();
 
   // Show 2-4 images in split screen
   const displayImages = images.slice(0, 4);
+  const isGrid = displayImages.length > 2;
+
+  // Two images sit side by side in wide formats and stack in tall ones
+  const sideBySide = columns && displayImages.length === 2;
 
   // Synchronized entrance for all images
   const gridSpring = spring({
@@ -357,8 +365,8 @@ const SplitScreenScene = ({ images }) => {
       <div
         style={{
           display: 'grid',
-          gridTemplateColumns: displayImages.length > 2 ? '1fr 1fr' : '1fr',
-          gridTemplateRows: displayImages.length > 2 ? '1fr 1fr' : '1fr',
+          gridTemplateColumns: isGrid || sideBySide ? '1fr 1fr' : '1fr',
+          gridTemplateRows: isGrid ? '1fr 1fr' : '1fr',
           width: '100%',
           height: '100%',
           gap: 4,
@@ -376,7 +384,7 @@ const SplitScreenScene = ({ images }) => {
                 height: '100%',
                 overflow: 'hidden',
                 backgroundColor: '#1a1a1a',
-                boxShadow: '0 10px 30px rgba(0,0,0,0.7), inset 0 0 40px rgba(223,164,59,0.1)',
+                boxShadow: `0 10px 30px rgba(0,0,0,0.7), inset 0 0 40px ${withAlpha(theme.accent, 0.1)}`,
               }}
             >
               {image && (
@@ -399,7 +407,7 @@ const SplitScreenScene = ({ images }) => {
                   left: 0,
                   width: '100%',
                   height: '100%',
-                  background: 'linear-gradient(45deg, rgba(223,164,59,0.1), transparent)',
+                  background: `linear-gradient(45deg, ${withAlpha(theme.accent, 0.1)}, transparent)`,
                   opacity: 0.3,
                 }}
               />
@@ -416,20 +424,20 @@ const SplitScreenScene = ({ images }) => {
           left: '50%',
           transform: `translate(-50%, -50%) scale(${gridSpring})`,
           backgroundColor: 'rgba(0,0,0,0.85)',
-          padding: '20px 40px',
-          borderRadius: 50,
-          border: '3px solid #dfa43b',
-          boxShadow: '0 0 40px rgba(223,164,59,0.6), inset 0 0 20px rgba(223,164,59,0.2)',
+          padding: `${20 * scale}px ${40 * scale}px`,
+          borderRadius: 50 * theme.cornerRadius,
+          border: `3px solid ${theme.accent}`,
+          boxShadow: `0 0 40px ${withAlpha(theme.accent, 0.6)}, inset 0 0 20px ${withAlpha(theme.accent, 0.2)}`,
           opacity: gridOpacity,
         }}
       >
         <p
           style={{
-            color: '#dfa43b',
-            fontSize: 32,
+            color: theme.accent,
+            fontSize: 32 * scale,
             fontWeight: 'bold',
             margin: 0,
-            textShadow: '0 0 10px rgba(223,164,59,0.5)',
+            textShadow: `0 0 10px ${withAlpha(theme.accent, 0.5)}`,
           }}
         >
           GALLERY
@@ -441,7 +449,9 @@ const SplitScreenScene = ({ images }) => {
 
 // Scene 4: Specifications with Animated Cards
 const SpecificationsScene = ({ specifications, image }) => {
-  const frame = useCurrentFrame();
+  const frame = useSceneFrame();
+  const { scale, columns } = useLayout();
+  const theme = useTheme();
 
   const specs = [
     { label: 'Category', value: specifications.category, icon: '📦' },
@@ -470,20 +480,20 @@ const SpecificationsScene = ({ specifications, image }) => {
               position: 'absolute',
               width: '100%',
               height: '100%',
-              background: 'linear-gradient(135deg, rgba(0,0,0,0.8), rgba(40,20,0,0.85))',
+              background: `linear-gradient(135deg, rgba(0,0,0,0.8), ${withAlpha(theme.tint, 0.85)})`,
             }}
           />
         </>
       )}
 
       {/* Floating particles in background */}
-      <ParticleEffect count={20} color="rgba(223,164,59,0.3)" />
+      <ParticleEffect count={20} color={withAlpha(theme.accent, 0.3)} />
 
       {/* Title */}
       <div
         style={{
           position: 'absolute',
-          top: 150,
+          top: 150 * scale,
           left: 0,
           right: 0,
           textAlign: 'center',
@@ -491,11 +501,11 @@ const SpecificationsScene = ({ specifications, image }) => {
       >
         <h2
           style={{
-            color: '#dfa43b',
-            fontSize: 70,
+            color: theme.accent,
+            fontSize: 70 * scale,
             fontWeight: 'bold',
             margin: 0,
-            textShadow: '0 0 30px rgba(223,164,59,0.8)',
+            textShadow: `0 0 30px ${withAlpha(theme.accent, 0.8)}`,
             letterSpacing: 4,
           }}
         >
@@ -510,7 +520,7 @@ const SpecificationsScene = ({ specifications, image }) => {
           top: '50%',
           left: '50%',
           transform: 'translate(-50%, -40%)',
-          width: '85%',
+          width: columns ? '60%' : '85%',
         }}
       >
         {specs.map((spec, index) => {
@@ -540,30 +550,30 @@ const SpecificationsScene = ({ specifications, image }) => {
             <div
               key={spec.label}
               style={{
-                marginBottom: 20,
+                marginBottom: 20 * scale,
                 opacity: cardOpacity,
                 transform: `translateX(${cardX}px) scale(${cardScale})`,
               }}
             >
               <div
                 style={{
-                  background: 'linear-gradient(135deg, rgba(223,164,59,0.15), rgba(40,20,0,0.3))',
-                  borderRadius: 20,
-                  padding: '20px 30px',
+                  background: `linear-gradient(135deg, ${withAlpha(theme.accent, 0.15)}, ${withAlpha(theme.tint, 0.3)})`,
+                  borderRadius: 20 * theme.cornerRadius,
+                  padding: `${20 * scale}px ${30 * scale}px`,
                   display: 'flex',
                   justifyContent: 'space-between',
                   alignItems: 'center',
-                  border: '2px solid rgba(223,164,59,0.4)',
-                  boxShadow: '0 10px 40px rgba(0,0,0,0.5), inset 0 0 20px rgba(223,164,59,0.1)',
+                  border: `2px solid ${withAlpha(theme.accent, 0.4)}`,
+                  boxShadow: `0 10px 40px rgba(0,0,0,0.5), inset 0 0 20px ${withAlpha(theme.accent, 0.1)}`,
                   backdropFilter: 'blur(10px)',
                 }}
               >
                 <div style={{ display: 'flex', alignItems: 'center', gap: 20 }}>
-                  <span style={{ fontSize: 40 }}>{spec.icon}</span>
+                  <span style={{ fontSize: 40 * scale }}>{spec.icon}</span>
                   <span
                     style={{
-                      color: '#dfa43b',
-                      fontSize: 38,
+                      color: theme.accent,
+                      fontSize: 38 * scale,
                       fontWeight: 'bold',
                     }}
                   >
@@ -573,7 +583,7 @@ const SpecificationsScene = ({ specifications, image }) => {
                 <span
                   style={{
                     color: 'white',
-                    fontSize: 38,
+                    fontSize: 38 * scale,
                     fontWeight: '600',
                     textShadow: '0 2px 10px rgba(0,0,0,0.5)',
                   }}
@@ -590,9 +600,11 @@ const SpecificationsScene = ({ specifications, image }) => {
 };
 
 // Scene 5: Call to Action with Pulse Effect
-const CTAScene = ({ description, sellerName }) => {
-  const frame = useCurrentFrame();
+const CTAScene = ({ description, sellerName, logoUrl }) => {
+  const frame = useSceneFrame();
   const { fps } = useVideoConfig();
+  const { scale, columns } = useLayout();
+  const theme = useTheme();
 
   // Pulse effect for CTA button
   const pulseScale = interpolate(
@@ -607,7 +619,7 @@ const CTAScene = ({ description, sellerName }) => {
     config: { damping: 60 },
   });
 
-  const ctaY = interpolate(ctaSpring, [0, 1], [200, 0]);
+  const ctaY = interpolate(ctaSpring, [0, 1], [200 * scale, 0]);
 
   return (
     <AbsoluteFill>
@@ -628,7 +640,7 @@ const CTAScene = ({ description, sellerName }) => {
           height: '200%',
           top: '-50%',
           left: '-50%',
-          background: `conic-gradient(from ${frame * 3}deg, transparent 0%, rgba(223,164,59,0.15) 5%, transparent 10%, transparent 90%, rgba(223,164,59,0.15) 95%, transparent 100%)`,
+          background: `conic-gradient(from ${frame * 3}deg, transparent 0%, ${withAlpha(theme.accent, 0.15)} 5%, transparent 10%, transparent 90%, ${withAlpha(theme.accent, 0.15)} 95%, transparent 100%)`,
         }}
       />
 
@@ -639,7 +651,7 @@ const CTAScene = ({ description, sellerName }) => {
           top: '50%',
           left: '50%',
           transform: `translate(-50%, -50%) translateY(${ctaY}px)`,
-          width: '85%',
+          width: columns ? '70%' : '85%',
           textAlign: 'center',
         }}
       >
@@ -647,8 +659,8 @@ const CTAScene = ({ description, sellerName }) => {
         <h2
           style={{
             color: 'white',
-            fontSize: 52,
-            marginBottom: 50,
+            fontSize: 52 * scale,
+            marginBottom: 50 * scale,
             lineHeight: 1.4,
             textShadow: '0 4px 20px rgba(0,0,0,0.8)',
           }}
@@ -665,17 +677,17 @@ const CTAScene = ({ description, sellerName }) => {
         >
           <div
             style={{
-              padding: '25px 60px',
-              background: 'linear-gradient(135deg, #dfa43b, #f4c542)',
-              borderRadius: 50,
-              boxShadow: '0 20px 50px rgba(223,164,59,0.5), inset 0 0 30px rgba(255,255,255,0.3)',
+              padding: `${25 * scale}px ${60 * scale}px`,
+              background: `linear-gradient(135deg, ${theme.accent}, ${theme.highlight})`,
+              borderRadius: 50 * theme.cornerRadius,
+              boxShadow: `0 20px 50px ${withAlpha(theme.accent, 0.5)}, inset 0 0 30px rgba(255,255,255,0.3)`,
               border: '3px solid rgba(255,255,255,0.3)',
             }}
           >
             <p
               style={{
                 color: 'black',
-                fontSize: 48,
+                fontSize: 48 * scale,
                 fontWeight: 'bold',
                 margin: 0,
                 textShadow: '0 2px 4px rgba(255,255,255,0.3)',
@@ -687,32 +699,34 @@ const CTAScene = ({ description, sellerName }) => {
           </div>
         </div>
 
-        {/* PeerMetals Logo */}
-        <div
-          style={{
-            marginTop: 50,
-            display: 'flex',
-            justifyContent: 'center',
-            alignItems: 'center',
-          }}
-        >
-          <Img
-            src="https://peermetals.com/logo.png"
+        {/* PeerMetals Logo - the checked, locally served logoUrl, like the watermark */}
+        {logoUrl && (
+          <div
             style={{
-              width: 250,
-              height: 'auto',
-              objectFit: 'contain',
-              filter: 'drop-shadow(0 0 20px rgba(223,164,59,0.5))',
+              marginTop: 50 * scale,
+              display: 'flex',
+              justifyContent: 'center',
+              alignItems: 'center',
             }}
-          />
-        </div>
+          >
+            <Img
+              src={logoUrl}
+              style={{
+                width: 250 * scale,
+                height: 'auto',
+                objectFit: 'contain',
+                filter: `drop-shadow(0 0 20px ${withAlpha(theme.accent, 0.5)})`,
+              }}
+            />
+          </div>
+        )}
 
         {/* Seller info */}
         <p
           style={{
             color: 'rgba(255,255,255,0.7)',
-            fontSize: 28,
-            marginTop: 30,
+            fontSize: 28 * scale,
+            marginTop: 30 * scale,
           }}
         >
           Seller: {sellerName}
@@ -724,8 +738,10 @@ const CTAScene = ({ description, sellerName }) => {
 
 // Scene 5: Why Choose PeerMetals
 const WhyChoosePeerMetalsScene = ({ image }) => {
-  const frame = useCurrentFrame();
+  const frame = useSceneFrame();
   const { fps } = useVideoConfig();
+  const { scale, columns } = useLayout();
+  const theme = useTheme();
 
   // Entrance animation
   const entranceSpring = spring({
@@ -734,7 +750,7 @@ const WhyChoosePeerMetalsScene = ({ image }) => {
     config: { damping: 70, stiffness: 120 },
   });
 
-  const titleY = interpolate(entranceSpring, [0, 1], [100, 0]);
+  const titleY = interpolate(entranceSpring, [0, 1], [100 * scale, 0]);
   const titleOpacity = interpolate(frame, [0, 20], [0, 1], {
     extrapolateRight: 'clamp',
   });
@@ -790,17 +806,17 @@ const WhyChoosePeerMetalsScene = ({ image }) => {
           display: 'flex',
           flexDirection: 'column',
           justifyContent: 'center',
-          padding: '60px',
+          padding: 60 * scale,
         }}
       >
         {/* Main Title */}
         <h2
           style={{
             color: 'white',
-            fontSize: 90,
+            fontSize: 90 * scale,
             fontWeight: 'bold',
             textAlign: 'center',
-            marginBottom: 100,
+            marginBottom: 100 * scale,
             transform: `translateY(${titleY}px)`,
             opacity: titleOpacity,
             textShadow: '0 4px 20px rgba(0,0,0,0.8)',
@@ -809,98 +825,132 @@ const WhyChoosePeerMetalsScene = ({ image }) => {
           Why Choose PeerMetals?
         </h2>
 
-        {/* Buyer Benefits */}
-        <div style={{ marginBottom: 80 }}>
-          <h3
-            style={{
-              color: '#dfa43b',
-              fontSize: 64,
-              fontWeight: 'bold',
-              textAlign: 'center',
-              marginBottom: 50,
-              opacity: interpolate(frame, [20, 40], [0, 1], { extrapolateRight: 'clamp' }),
-            }}
-          >
-            Buyer Benefits
-          </h3>
-
-          {buyerBenefits.map((benefit, index) => {
-            const delay = 40 + index * 15;
-            const benefitOpacity = interpolate(frame, [delay, delay + 15], [0, 1], {
-              extrapolateRight: 'clamp',
-            });
-            const benefitY = interpolate(frame, [delay, delay + 15], [30, 0], {
-              extrapolateRight: 'clamp',
-            });
+        {/* Benefits - side by side in wide formats, stacked in tall ones */}
+        <div
+          style={{
+            display: 'flex',
+            flexDirection: columns ? 'row' : 'column',
+            gap: columns ? 60 * scale : 0,
+          }}
+        >
+          {/* Buyer Benefits */}
+          <div style={{ flex: 1, marginBottom: columns ? 0 : 80 * scale }}>
+            <h3
+              style={{
+                color: theme.accent,
+                fontSize: 64 * scale,
+                fontWeight: 'bold',
+                textAlign: 'center',
+                marginBottom: 50 * scale,
+                opacity: interpolate(frame, [20, 40], [0, 1], { extrapolateRight: 'clamp' }),
+              }}
+            >
+              Buyer Benefits
+            </h3>
+
+            {buyerBenefits.map((benefit, index) => {
+              const delay = 40 + index * 15;
+              const benefitOpacity = interpolate(frame, [delay, delay + 15], [0, 1], {
+                extrapolateRight: 'clamp',
+              });
+              const benefitY = interpolate(frame, [delay, delay + 15], [30 * scale, 0], {
+                extrapolateRight: 'clamp',
+              });
+
+              return (
+                <div
+                  key={index}
+                  style={{
+                    marginBottom: 40 * scale,
+                    paddingLeft: '8%',
+                    paddingRight: '8%',
+                    opacity: benefitOpacity,
+                    transform: `translateY(${benefitY}px)`,
+                  }}
+                >
+                  <p style={{ color: 'white', fontSize: 52 * scale, fontWeight: 'bold', marginBottom: 10 * scale }}>
+                    • {benefit.title}
+                  </p>
+                  <p style={{ color: 'rgba(255,255,255,0.9)', fontSize: 42 * scale, paddingLeft: 60 * scale }}>
+                    {benefit.desc}
+                  </p>
+                </div>
+              );
+            })}
+          </div>
 
-            return (
-              <div
-                key={index}
-                style={{
-                  marginBottom: 40,
-                  paddingLeft: '8%',
-                  paddingRight: '8%',
-                  opacity: benefitOpacity,
-                  transform: `translateY(${benefitY}px)`,
-                }}
-              >
-                <p style={{ color: 'white', fontSize: 52, fontWeight: 'bold', marginBottom: 10 }}>
-                  • {benefit.title}
-                </p>
-                <p style={{ color: 'rgba(255,255,255,0.9)', fontSize: 42, paddingLeft: 60 }}>
-                  {benefit.desc}
-                </p>
-              </div>
-            );
-          })}
+          {/* Seller Benefits */}
+          <div style={{ flex: 1 }}>
+            <h3
+              style={{
+                color: theme.accent,
+                fontSize: 64 * scale,
+                fontWeight: 'bold',
+                textAlign: 'center',
+                marginBottom: 50 * scale,
+                opacity: interpolate(frame, [70, 90], [0, 1], { extrapolateRight: 'clamp' }),
+              }}
+            >
+              Seller Benefits
+            </h3>
+
+            {sellerBenefits.map((benefit, index) => {
+              const delay = 90 + index * 15;
+              const benefitOpacity = interpolate(frame, [delay, delay + 15], [0, 1], {
+                extrapolateRight: 'clamp',
+              });
+              const benefitY = interpolate(frame, [delay, delay + 15], [30 * scale, 0], {
+                extrapolateRight: 'clamp',
+              });
+
+              return (
+                <div
+                  key={index}
+                  style={{
+                    marginBottom: 40 * scale,
+                    paddingLeft: '8%',
+                    paddingRight: '8%',
+                    opacity: benefitOpacity,
+                    transform: `translateY(${benefitY}px)`,
+                  }}
+                >
+                  <p style={{ color: 'white', fontSize: 52 * scale, fontWeight: 'bold', marginBottom: 10 * scale }}>
+                    • {benefit.title}
+                  </p>
+                  <p style={{ color: 'rgba(255,255,255,0.9)', fontSize: 42 * scale, paddingLeft: 60 * scale }}>
+                    {benefit.desc}
+                  </p>
+                </div>
+              );
+            })}
+          </div>
         </div>
+      </div>
+    </AbsoluteFill>
+  );
+};
 
-        {/* Seller Benefits */}
-        <div>
-          <h3
-            style={{
-              color: '#dfa43b',
-              fontSize: 64,
-              fontWeight: 'bold',
-              textAlign: 'center',
-              marginBottom: 50,
-              opacity: interpolate(frame, [70, 90], [0, 1], { extrapolateRight: 'clamp' }),
-            }}
-          >
-            Seller Benefits
-          </h3>
+// How each scene enters, from the template's `transition`: a hard cut, a fade
+// from black, or a fade while settling from a slight zoom
+const TRANSITION_FRAMES = { fade: 12, zoom: 10 };
 
-          {sellerBenefits.map((benefit, index) => {
-            const delay = 90 + index * 15;
-            const benefitOpacity = interpolate(frame, [delay, delay + 15], [0, 1], {
-              extrapolateRight: 'clamp',
-            });
-            const benefitY = interpolate(frame, [delay, delay + 15], [30, 0], {
-              extrapolateRight: 'clamp',
-            });
+const SceneTransition = ({ children }) => {
+  const frame = useCurrentFrame();
+  const { transition } = useTheme();
 
-            return (
-              <div
-                key={index}
-                style={{
-                  marginBottom: 40,
-                  paddingLeft: '8%',
-                  paddingRight: '8%',
-                  opacity: benefitOpacity,
-                  transform: `translateY(${benefitY}px)`,
-                }}
-              >
-                <p style={{ color: 'white', fontSize: 52, fontWeight: 'bold', marginBottom: 10 }}>
-                  • {benefit.title}
-                </p>
-                <p style={{ color: 'rgba(255,255,255,0.9)', fontSize: 42, paddingLeft: 60 }}>
-                  {benefit.desc}
-                </p>
-              </div>
-            );
-          })}
-        </div>
-      </div>
+  if (!Object.hasOwn(TRANSITION_FRAMES, transition)) {
+    return children;
+  }
+
+  const progress = interpolate(frame, [0, TRANSITION_FRAMES[transition]], [0, 1], {
+    extrapolateRight: 'clamp',
+    easing: Easing.out(Easing.cubic),
+  });
+  const zoom = transition === 'zoom' ? interpolate(progress, [0, 1], [1.08, 1]) : 1;
+
+  return (
+    <AbsoluteFill style={{ opacity: progress, transform: `scale(${zoom})` }}>
+      {children}
     </AbsoluteFill>
   );
 };
@@ -908,6 +958,8 @@ const WhyChoosePeerMetalsScene = ({ image }) => {
 // Animated Logo Watermark
 const LogoWatermark = ({ logoUrl }) => {
   const frame = useCurrentFrame();
+  const { scale } = useLayout();
+  const theme = useTheme();
 
   const opacity = interpolate(frame, [0, 20], [0, 0.9], {
     extrapolateRight: 'clamp',
@@ -917,8 +969,8 @@ const LogoWatermark = ({ logoUrl }) => {
     <div
       style={{
         position: 'absolute',
-        bottom: 30,
-        right: 30,
+        bottom: 30 * scale,
+        right: 30 * scale,
         opacity,
         zIndex: 1000,
       }}
@@ -926,17 +978,17 @@ const LogoWatermark = ({ logoUrl }) => {
       <div
         style={{
           backgroundColor: 'rgba(0,0,0,0.7)',
-          borderRadius: 20,
-          padding: 15,
-          border: '2px solid rgba(223,164,59,0.5)',
+          borderRadius: 20 * theme.cornerRadius,
+          padding: 15 * scale,
+          border: `2px solid ${withAlpha(theme.accent, 0.5)}`,
           boxShadow: '0 8px 25px rgba(0,0,0,0.6)',
         }}
       >
         <Img
           src={logoUrl}
           style={{
-            width: 90,
-            height: 90,
+            width: 90 * scale,
+            height: 90 * scale,
             objectFit: 'contain',
           }}
         />
@@ -946,13 +998,49 @@ const LogoWatermark = ({ logoUrl }) => {
 };
 
 
-// Particle Effect Component
-const ParticleEffect = ({ count = 10, color = 'rgba(223,164,59,0.4)' }) => {
+// Layout metrics for the current output format.
+// Scenes are designed for 1080x1920; shorter frames scale type and spacing
+// down, and wide frames (1:1, 16:9) lay content out in columns.
+const useLayout = () => {
+  const { width, height } = useVideoConfig();
+  const aspectRatio = width / height;
+
+  if (aspectRatio >= 0.9) {
+    return { scale: 0.75, columns: true };
+  }
+
+  if (aspectRatio >= 0.7) {
+    return { scale: 0.85, columns: false };
+  }
+
+  return { scale: 1, columns: false };
+};
+
+// Theme of the current template (see reelTemplates.js): `accent`, `highlight` and `tint` colors as hex,
+// `fontFamily`, `titleWeight`, `titleTransform`, `particles`, `cornerRadius`, `kenBurnsZoom` and `transition`
+const useTheme = () => useContext(ThemeContext);
+
+// Frame of the scene on the clock its animations were written for: runs faster
+// when the scene was shortened to fit the duration limits, so every animation
+// still finishes before the scene ends. ProductShowcaseScene paces itself from
+// its totalFrames instead.
+const useSceneFrame = () => useCurrentFrame() * useContext(SceneSpeedContext);
+
+// '#dfa43b', 0.5 → 'rgba(223,164,59,0.5)'
+const withAlpha = (hex, alpha) => {
+  const [r, g, b] = [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16));
+  return `rgba(${r},${g},${b},${alpha})`;
+};
+
+// Particle Effect Component, in the template's accent color by default
+const ParticleEffect = ({ count = 10, color }) => {
   const frame = useCurrentFrame();
+  const theme = useTheme();
+  const particleColor = color || withAlpha(theme.accent, 0.4);
 
   return (
     <>
-      {Array.from({ length: count }).map((_, i) => {
+      {Array.from({ length: Math.round(count * theme.particles) }).map((_, i) => {
         const seed = i * 123.456;
         const x = (Math.sin(seed) * 50 + 50) % 100;
         const y = ((frame + seed * 10) % 2000) / 2000 * 100;
@@ -969,9 +1057,9 @@ const ParticleEffect = ({ count = 10, color = 'rgba(223,164,59,0.4)' }) => {
               width: size,
               height: size,
               borderRadius: '50%',
-              backgroundColor: color,
+              backgroundColor: particleColor,
               opacity: opacity * 0.6,
-              boxShadow: `0 0 ${size * 2}px ${color}`,
+              boxShadow: `0 0 ${size * 2}px ${particleColor}`,
             }}
           />
         );
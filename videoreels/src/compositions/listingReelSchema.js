@@ -0,0 +1,42 @@
+import { z } from 'zod';
+import { SCENE_NAMES } from './sceneTiming.js';
+
+/**
+ * Scenes to play, in order, each at most once. `durationInSeconds` replaces
+ * the length computed from the listing (see sceneTiming.js).
+ */
+export const sceneListSchema = z.array(z.object({
+  name: z.enum(SCENE_NAMES),
+  durationInSeconds: z.number().min(1).max(60).optional(),
+}))
+  .min(1)
+  .refine(
+    (scenes) => new Set(scenes.map((scene) => scene.name)).size === scenes.length,
+    { message: 'Each scene can only be listed once' }
+  );
+
+/**
+ * Props of the ListingReel composition.
+ * Kept out of ListingReel.jsx so the render API can validate props without loading React.
+ */
+export const listingReelSchema = z.object({
+  listingTitle: z.string(),
+  listingDescription: z.string(),
+  images: z.array(z.string()),
+  specifications: z.object({
+    category: z.string().optional(),
+    condition: z.string().optional(),
+    weight: z.string().optional(),
+    purity: z.string().optional(),
+    year: z.string().optional(),
+  }),
+  sellerName: z.string(),
+  logoUrl: z.string().optional(),
+  // Bounds on the total length, e.g. a platform's 15, 30 or 60 second limit (see sceneTiming.js)
+  durationLimits: z.object({
+    minSeconds: z.number().positive(),
+    maxSeconds: z.number().positive(),
+  }).optional(),
+  // Which scenes play and in what order (default: all, see sceneTiming.js)
+  scenes: sceneListSchema.optional(),
+});
@@ -0,0 +1,121 @@
+/**
+ * Reel templates: looks and pacing for different kinds of listings
+ *
+ * Every template is registered in Root.jsx as its own set of compositions, one
+ * per output format, all rendering the scenes of ListingReel.jsx. A template
+ * picks which scenes play and in what order when the `scenes` prop is not set,
+ * how long they run (`pace` scales every scene's natural length, see
+ * sceneTiming.js) and how they are drawn (`theme`, read by the scenes through
+ * useTheme):
+ * - `accent`, `highlight`, `tint` - colors
+ * - `fontFamily`, `titleWeight`, `titleTransform` - typography; no font family
+ *   keeps the browser default
+ * - `particles` - how many floating particles, relative to the classic look (0 for none)
+ * - `cornerRadius` - roundness of cards, frames and buttons, relative to the classic look
+ * - `kenBurnsZoom` - how far the showcase zooms into each photo
+ * - `transition` - how each scene enters: `cut`, `fade` or `zoom`
+ * Kept free of React so the render API can load it.
+ */
+
+export const REEL_TEMPLATES = {
+  // The original look - every scene, gold on black
+  classic: {
+    compositionId: 'ListingReel',
+    pace: 1,
+    scenes: ['intro', 'showcase', 'splitScreen', 'specifications', 'whyChoose', 'cta'],
+    theme: {
+      accent: '#dfa43b',
+      highlight: '#f4c542',
+      tint: '#281400',
+      titleWeight: 'bold',
+      titleTransform: 'none',
+      particles: 1,
+      cornerRadius: 1,
+      kenBurnsZoom: 1.2,
+      transition: 'cut',
+    },
+  },
+  // Bars, rounds and bullion coins sell on metal content: specs first, hard cuts,
+  // heavy upper-case type, square edges and no sparkle
+  bullion: {
+    compositionId: 'BullionReel',
+    pace: 0.8,
+    scenes: ['specifications', 'intro', 'showcase', 'splitScreen', 'cta'],
+    theme: {
+      accent: '#c9ced6',
+      highlight: '#ffffff',
+      tint: '#10161e',
+      fontFamily: '"Arial Black", Impact, "Helvetica Neue", Arial, sans-serif',
+      titleWeight: 900,
+      titleTransform: 'uppercase',
+      particles: 0,
+      cornerRadius: 0.1,
+      kenBurnsZoom: 1.05,
+      transition: 'cut',
+    },
+  },
+  // Graded and collectible pieces: slower, serif type, soft fades and a deep
+  // push into the photos so the details and the grade read
+  numismatic: {
+    compositionId: 'NumismaticReel',
+    pace: 1.3,
+    scenes: ['intro', 'showcase', 'specifications', 'splitScreen', 'whyChoose', 'cta'],
+    theme: {
+      accent: '#b87333',
+      highlight: '#e3b778',
+      tint: '#2a1408',
+      fontFamily: 'Georgia, "Times New Roman", serif',
+      titleWeight: 'bold',
+      titleTransform: 'none',
+      particles: 0.4,
+      cornerRadius: 0.5,
+      kenBurnsZoom: 1.35,
+      transition: 'fade',
+    },
+  },
+  // Jewelry sells on looks: photos only, no spec sheet, light display type,
+  // rounded frames, extra sparkle and scenes that zoom in
+  jewelry: {
+    compositionId: 'JewelryReel',
+    pace: 1.15,
+    scenes: ['intro', 'showcase', 'splitScreen', 'cta'],
+    theme: {
+      accent: '#e8a0b4',
+      highlight: '#f7d6e0',
+      tint: '#2a0f1a',
+      fontFamily: 'Didot, "Bodoni 72", "Playfair Display", Georgia, serif',
+      titleWeight: 300,
+      titleTransform: 'none',
+      particles: 2.5,
+      cornerRadius: 2,
+      kenBurnsZoom: 1.25,
+      transition: 'zoom',
+    },
+  },
+};
+
+export const DEFAULT_TEMPLATE = 'classic';
+
+// Checked in order against all of a listing's categories; the first template
+// matching any of them wins. Bullion's metal and coin words also appear in
+// numismatic and jewelry categories ("Gold Coins" under "Numismatics"), so it goes last.
+const CATEGORY_TEMPLATES = [
+  { template: 'jewelry', pattern: /\b(jewel(le)?ry|rings?|necklaces?|bracelets?|earrings?|pendants?|chains?)\b/i },
+  { template: 'numismatic', pattern: /\b(numismatics?|graded|certified|pcgs|ngc|proofs?|currency|banknotes?|paper money|rare|ancient)\b/i },
+  { template: 'bullion', pattern: /\b(bullion|bars?|rounds?|ingots?|coins?|gold|silver|platinum|palladium|copper)\b/i },
+];
+
+/**
+ * Template for a listing when none is requested, from its categories.
+ * `tier1_category` and `tier2_category` are both checked against each
+ * template in CATEGORY_TEMPLATES order.
+ * @param {Object} listing - `listings` row
+ * @returns {string} Key of REEL_TEMPLATES
+ */
+export function pickListingTemplate(listing) {
+  const categories = [listing.tier1_category, listing.tier2_category]
+    .filter((category) => typeof category === 'string' && category);
+
+  const match = CATEGORY_TEMPLATES.find(({ pattern }) => categories.some((category) => pattern.test(category)));
+  return match ? match.template : DEFAULT_TEMPLATE;
+}
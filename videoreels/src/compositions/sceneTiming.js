@@ -0,0 +1,194 @@
+/**
+ * Scene lengths of the ListingReel composition, derived from its props and
+ * the reel template it is rendered with (see reelTemplates.js).
+ * Shared by calculateMetadata in Root.jsx (total duration), ListingReel.jsx
+ * (Sequence offsets) and the render API (dry run), so they always agree.
+ * Kept free of React so the render API and listingReelSchema.js can load it.
+ */
+
+import { REEL_TEMPLATES, DEFAULT_TEMPLATE } from './reelTemplates.js';
+
+export const DEFAULT_MIN_DURATION_SECONDS = 15;
+export const DEFAULT_MAX_DURATION_SECONDS = 60;
+
+const SPEC_KEYS = ['category', 'condition', 'weight', 'purity', 'year'];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Natural length of each scene in seconds, before the template's pace.
+ * A length of 0 leaves the scene out, even if it is listed.
+ */
+const SCENE_LENGTHS = {
+  intro: () => 5,
+  // Two seconds per photo
+  showcase: ({ images }) => clamp(images.length * 2, 3, 24),
+  // The grid needs at least two photos
+  splitScreen: ({ images }) => (images.length >= 2 ? 3 : 0),
+  specifications: ({ specifications }) => {
+    const count = SPEC_KEYS.filter((key) => specifications?.[key]).length;
+    return count === 0 ? 0 : 1.5 + count * 0.5;
+  },
+  whyChoose: () => 5,
+  // Time to read the description
+  cta: ({ listingDescription }) => clamp(2 + (listingDescription || '').length / 40, 3, 6),
+};
+
+export const SCENE_NAMES = Object.keys(SCENE_LENGTHS);
+
+// Scenes without an override are never shrunk below this to fit the limits
+export const MIN_SCENE_SECONDS = 1;
+
+/**
+ * Shortest video the scenes fit in: overrides at their length, every other
+ * scene at MIN_SCENE_SECONDS. A `maxSeconds` limit below this is rejected.
+ * @param {Array<{name: string, durationInSeconds?: number}>} sceneList - Scenes to play
+ * @returns {number} Seconds
+ */
+export function getMinimumDurationSeconds(sceneList) {
+  return sceneList.reduce((sum, scene) => sum + (scene.durationInSeconds ?? MIN_SCENE_SECONDS), 0);
+}
+
+/**
+ * Split a number of frames over scenes in proportion to their natural length,
+ * giving none less than `minFrames`. Scenes that would get less are held at
+ * the minimum and the rest is shared by the others.
+ * @returns {number[]} Frames per scene, adding up to `totalFrames` exactly
+ */
+function distributeFrames(naturalFrames, totalFrames, minFrames) {
+  const held = naturalFrames.map(() => false);
+  let exact;
+
+  for (;;) {
+    const heldFrames = held.filter(Boolean).length * minFrames;
+    const freeNatural = naturalFrames.reduce((sum, frames, index) => sum + (held[index] ? 0 : frames), 0);
+    const factor = (totalFrames - heldFrames) / freeNatural;
+    exact = naturalFrames.map((frames, index) => (held[index] ? minFrames : frames * factor));
+
+    const short = exact.findIndex((frames, index) => !held[index] && frames < minFrames);
+    if (short === -1) {
+      break;
+    }
+    exact.forEach((frames, index) => {
+      held[index] ||= frames < minFrames;
+    });
+  }
+
+  // Rounding the running total keeps the sum exact and every scene at or above the minimum
+  let placed = 0;
+  let end = 0;
+  return exact.map((frames) => {
+    end += frames;
+    const durationInFrames = Math.round(end) - placed;
+    placed += durationInFrames;
+    return durationInFrames;
+  });
+}
+
+/**
+ * Lay out the scenes of a listing video, in the order of the `scenes` prop,
+ * or of the template when it is not set. Scenes with a `durationInSeconds`
+ * override keep it. The others get their natural length scaled by the
+ * template's pace, then are stretched or shrunk in proportion if the total
+ * falls outside the `durationLimits` prop (default 15-60 seconds), though
+ * never below MIN_SCENE_SECONDS. The total never exceeds `maxSeconds`.
+ *
+ * `animationSpeed` tells a scene how much faster than designed to play its
+ * animations, so a shortened scene still shows all of them (see ListingReel.jsx).
+ * @param {Object} props - ListingReel props
+ * @param {number} fps - Frames per second
+ * @param {string} [template] - Key of REEL_TEMPLATES
+ * @returns {{durationInFrames: number, scenes: Array<{name: string, from: number, durationInFrames: number, animationSpeed: number}>}}
+ * @throws {Error} If `maxSeconds` is below getMinimumDurationSeconds for the scenes that play
+ */
+export function calculateSceneTiming(props, fps, template = DEFAULT_TEMPLATE) {
+  const { pace, scenes: templateScenes } = REEL_TEMPLATES[template];
+  const images = props.images || [];
+  const {
+    minSeconds = DEFAULT_MIN_DURATION_SECONDS,
+    maxSeconds = DEFAULT_MAX_DURATION_SECONDS,
+  } = props.durationLimits || {};
+
+  const plan = (sceneList) => sceneList
+    .map(({ name, durationInSeconds }) => {
+      const seconds = SCENE_LENGTHS[name]({ ...props, images });
+      return {
+        name,
+        durationInSeconds,
+        designFrames: Math.round(seconds * fps),
+        frames: Math.round(seconds * pace * fps),
+        fixedFrames: durationInSeconds === undefined ? undefined : Math.round(durationInSeconds * fps),
+      };
+    })
+    .filter((scene) => scene.frames > 0);
+
+  // A video needs at least one scene - fall back to the intro if none of the listed ones has content
+  let planned = plan(props.scenes || templateScenes.map((name) => ({ name })));
+  if (planned.length === 0) {
+    planned = plan([{ name: 'intro' }]);
+  }
+
+  const minSceneFrames = Math.ceil(MIN_SCENE_SECONDS * fps);
+  const maxFrames = Math.floor(maxSeconds * fps);
+  const fixedTotal = planned.reduce((sum, scene) => sum + (scene.fixedFrames ?? 0), 0);
+  const flexible = planned.filter((scene) => scene.fixedFrames === undefined);
+  const flexibleTotal = flexible.reduce((sum, scene) => sum + scene.frames, 0);
+
+  if (fixedTotal + flexible.length * minSceneFrames > maxFrames) {
+    throw new Error(
+      `Duration limit of ${maxSeconds}s is too short for these scenes - they need at least ${getMinimumDurationSeconds(planned)}s`
+    );
+  }
+
+  // Room left for the flexible scenes once the overrides are placed
+  const target = clamp(fixedTotal + flexibleTotal, Math.round(minSeconds * fps), maxFrames);
+  const flexibleFrames = distributeFrames(
+    flexible.map((scene) => scene.frames),
+    Math.max(target - fixedTotal, flexible.length * minSceneFrames),
+    minSceneFrames
+  );
+
+  let from = 0;
+  const scenes = planned.map((scene) => {
+    const durationInFrames = scene.fixedFrames ?? flexibleFrames[flexible.indexOf(scene)];
+    const placed = {
+      name: scene.name,
+      from,
+      durationInFrames,
+      animationSpeed: Math.max(1, scene.designFrames / durationInFrames),
+    };
+    from += durationInFrames;
+    return placed;
+  });
+
+  return { durationInFrames: from, scenes };
+}
+
+// Frame of the intro, on its own clock (see animationSpeed), by which the zoom,
+// title words and underline are all in
+const INTRO_REVEAL_FRAME = 45;
+
+// Longest stretch of the intro the GIF preview loops
+const INTRO_PREVIEW_SECONDS = 3;
+
+/**
+ * Where the intro lands in a layout from calculateSceneTiming, for stills and
+ * previews taken from it. Templates and the `scenes` prop can move the intro or
+ * shorten it, so fixed frame numbers would miss it. Without an intro the first
+ * scene's opening stands in.
+ * @param {Object} timing - Result of calculateSceneTiming
+ * @param {number} fps - Frames per second
+ * @returns {{revealFrame: number, previewFrameRange: [number, number]}} Frame the
+ *   title reveal completes on (the default poster) and the first frames of the
+ *   intro (the GIF preview), both within the video
+ */
+export function getIntroFrames(timing, fps) {
+  const intro = timing.scenes.find((scene) => scene.name === 'intro') || timing.scenes[0];
+  const revealOffset = Math.min(Math.round(INTRO_REVEAL_FRAME / intro.animationSpeed), intro.durationInFrames - 1);
+  const previewFrames = Math.min(intro.durationInFrames, Math.round(INTRO_PREVIEW_SECONDS * fps));
+
+  return {
+    revealFrame: intro.from + revealOffset,
+    previewFrameRange: [intro.from, intro.from + previewFrames - 1],
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Reusable Remotion bundle
+ *
+ * Bundling src/index.js takes a large share of every render, so the bundle is
+ * built once and reused. Bundles are keyed by a hash of the source tree:
+ * 1. In memory, for warm invocations of the same function instance
+ * 2. Prebuilt at deploy time into .remotion/bundle (npm run bundle)
+ * 3. On disk in /tmp, for cold starts when the prebuilt bundle is stale
+ * A missing or stale bundle falls back to a fresh bundle().
+ */
+
+import { bundle } from '@remotion/bundler';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// src/utils → project root
+const projectRoot = path.join(__dirname, '..', '..');
+
+// Everything that ends up in the bundle: compositions and public assets
+const HASHED_DIRS = ['src', 'public'];
+
+const MANIFEST_FILE = 'bundle-hash.txt';
+
+export const PREBUILT_BUNDLE_DIR = path.join(projectRoot, '.remotion', 'bundle');
+
+let memoryCache = null;
+let pendingBundle = null;
+
+async function listFiles(dir) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(
+    entries.map((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+    })
+  );
+  return files.flat();
+}
+
+/**
+ * Hash the source tree that feeds the Remotion bundle
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashSourceTree() {
+  const hash = crypto.createHash('sha256');
+
+  for (const dir of HASHED_DIRS) {
+    const root = path.join(projectRoot, dir);
+    if (!fs.existsSync(root)) continue;
+
+    const files = (await listFiles(root)).sort();
+    for (const file of files) {
+      hash.update(path.relative(projectRoot, file));
+      hash.update(await fs.promises.readFile(file));
+    }
+  }
+
+  return hash.digest('hex');
+}
+
+function readManifest(dir) {
+  try {
+    return fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8').trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Bundle the Remotion project into a directory and stamp it with its source hash.
+ * The manifest is written last so a half-written bundle is never reused.
+ * @param {Object} params
+ * @param {string} params.outDir - Directory to write the bundle to
+ * @param {string} [params.sourceHash] - Precomputed hash of the source tree
+ * @returns {Promise<string>} Bundle location
+ */
+export async function createBundle({ outDir, sourceHash }) {
+  const hash = sourceHash || (await hashSourceTree());
+
+  const bundleLocation = await bundle({
+    entryPoint: path.join(projectRoot, 'src', 'index.js'),
+    outDir,
+    webpackOverride: (config) => config,
+  });
+
+  fs.writeFileSync(path.join(bundleLocation, MANIFEST_FILE), hash);
+  return bundleLocation;
+}
+
+async function resolveBundle(sourceHash) {
+  if (readManifest(PREBUILT_BUNDLE_DIR) === sourceHash) {
+    logger.debug('Using prebuilt Remotion bundle');
+    return PREBUILT_BUNDLE_DIR;
+  }
+
+  const tmpDir = path.join(os.tmpdir(), `remotion-bundle-${sourceHash.slice(0, 16)}`);
+  if (readManifest(tmpDir) === sourceHash) {
+    logger.debug('Using cached Remotion bundle');
+    return tmpDir;
+  }
+
+  logger.info('Bundling Remotion project');
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  return createBundle({ outDir: tmpDir, sourceHash });
+}
+
+/**
+ * Get a bundle for the current source tree, bundling only if no cached bundle matches
+ * @returns {Promise<string>} Bundle location to pass as serveUrl
+ */
+export async function getBundleLocation() {
+  const sourceHash = await hashSourceTree();
+
+  if (memoryCache?.sourceHash === sourceHash && fs.existsSync(memoryCache.location)) {
+    return memoryCache.location;
+  }
+
+  // Concurrent renders in the same instance share one bundle() call
+  if (pendingBundle?.sourceHash !== sourceHash) {
+    const promise = resolveBundle(sourceHash);
+    pendingBundle = { sourceHash, promise };
+  }
+
+  try {
+    const location = await pendingBundle.promise;
+    memoryCache = { sourceHash, location };
+    return location;
+  } finally {
+    if (pendingBundle?.sourceHash === sourceHash) {
+      pendingBundle = null;
+    }
+  }
+}
@@ -1,4 +1,5 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import { logger } from './logger.js';
 
 const genAI = new GoogleGenerativeAI(process.env.NEXT_PUBLIC_GEMINI_API_KEY || '');
 
@@ -13,7 +14,7 @@ const genAI = new GoogleGenerativeAI(process.env.NEXT_PUBLIC_GEMINI_API_KEY || '
 export async function generateVideoDescription(listing) {
   try {
     if (!process.env.NEXT_PUBLIC_GEMINI_API_KEY) {
-      console.warn('Gemini API key not found, using fallback description');
+      logger.warn('Gemini API key not found, using fallback description');
       return generateFallbackDescription(listing);
     }
 
@@ -58,11 +59,11 @@ Generate ONLY the description text, nothing else.`;
       return description.substring(0, 147) + '...';
     }
 
-    console.log('✅ AI-generated video description:', description);
+    logger.debug('AI-generated video description', { description });
     return description;
 
   } catch (error) {
-    console.error('❌ Error generating AI description:', error.message);
+    logger.error('Error generating AI description', { error });
     return generateFallbackDescription(listing);
   }
 }
@@ -111,7 +112,12 @@ export async function generateDetailedDescription(listing) {
       return generateFallbackDetailed(listing);
     }
 
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
+    // Temperature 0 keeps the sentence as stable as Gemini allows. Unchanged
+    // listings are skipped on their description inputs, before this is called.
+    const model = genAI.getGenerativeModel({
+      model: "gemini-2.0-flash-exp",
+      generationConfig: { temperature: 0 },
+    });
 
     const plainDescription = listing.description
       ? listing.description.replace(/<[^>]*>/g, '').trim()
@@ -150,7 +156,7 @@ Generate ONLY the sentence, nothing else.`;
     return description;
 
   } catch (error) {
-    console.error('Error generating detailed description:', error.message);
+    logger.error('Error generating detailed description', { error });
     return generateFallbackDetailed(listing);
   }
 }
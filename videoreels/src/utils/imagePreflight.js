@@ -0,0 +1,306 @@
+/**
+ * Pre-flight checks and local caching for composition images
+ *
+ * Every image is fetched once before rendering, with a timeout, and checked
+ * for an image content type, a readable header and a complete body. Broken
+ * images are dropped from the props. Good ones are cached in /tmp and served
+ * to the headless browser from a local HTTP server, so a slow or dead remote
+ * URL can no longer time out delayRender() halfway through a render.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { imageSize } from 'image-size';
+import { logger } from './logger.js';
+
+const IMAGE_CACHE_DIR = '/tmp/remotion-image-cache';
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_IMAGE_BYTES = 25 * 1024 * 1024;
+
+// /tmp is small on Vercel - evict the least recently used images above this
+const MAX_CACHE_BYTES = 200 * 1024 * 1024;
+
+// Cached copies are keyed by URL, so an image re-uploaded to the same path is
+// fetched again once its copy is this old
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Formats headless Chromium decodes, as reported by image-size
+const SUPPORTED_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  avif: 'image/avif',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+};
+
+// Cached files a running image server is serving, with how many servers use each.
+// Neither eviction nor the TTL deletes them while a render may still fetch them.
+const pinnedFiles = new Map();
+
+function pinFiles(fileNames) {
+  for (const fileName of fileNames) {
+    pinnedFiles.set(fileName, (pinnedFiles.get(fileName) || 0) + 1);
+  }
+}
+
+function unpinFiles(fileNames) {
+  for (const fileName of fileNames) {
+    const count = pinnedFiles.get(fileName) - 1;
+    if (count > 0) {
+      pinnedFiles.set(fileName, count);
+    } else {
+      pinnedFiles.delete(fileName);
+    }
+  }
+}
+
+const PNG_IEND = Buffer.from([0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82]);
+const JPEG_EOI = Buffer.from([0xff, 0xd9]);
+
+/**
+ * Catch truncated uploads, the usual way a stored image is broken
+ */
+function isComplete(buffer, type) {
+  if (type === 'png') {
+    return buffer.subarray(-12).includes(PNG_IEND);
+  }
+  if (type === 'jpg') {
+    // Some cameras append padding after the end-of-image marker
+    return buffer.subarray(-1024).includes(JPEG_EOI);
+  }
+  return true;
+}
+
+/**
+ * Delete the least recently used cached images once the cache outgrows MAX_CACHE_BYTES.
+ * Pinned files count towards the size but are kept.
+ */
+function evictImageCache() {
+  if (!fs.existsSync(IMAGE_CACHE_DIR)) {
+    return;
+  }
+
+  const files = fs.readdirSync(IMAGE_CACHE_DIR)
+    .map((fileName) => {
+      const { size, atimeMs } = fs.statSync(path.join(IMAGE_CACHE_DIR, fileName));
+      return { fileName, size, atimeMs };
+    })
+    .sort((a, b) => b.atimeMs - a.atimeMs);
+
+  let total = 0;
+  for (const file of files) {
+    total += file.size;
+    if (total > MAX_CACHE_BYTES && !pinnedFiles.has(file.fileName)) {
+      fs.rmSync(path.join(IMAGE_CACHE_DIR, file.fileName), { force: true });
+    }
+  }
+}
+
+function cacheFileName(url, type) {
+  const hash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 32);
+  return `${hash}.${type}`;
+}
+
+/**
+ * Cached copy of a URL downloaded less than CACHE_TTL_MS ago. Older copies are
+ * deleted, unless pinned - a render is serving them, so they are reused as they are.
+ */
+function findCachedFile(url) {
+  const now = Date.now();
+
+  return Object.keys(SUPPORTED_TYPES)
+    .map((type) => cacheFileName(url, type))
+    .find((fileName) => {
+      const filePath = path.join(IMAGE_CACHE_DIR, fileName);
+      if (!fs.existsSync(filePath)) {
+        return false;
+      }
+      if (now - fs.statSync(filePath).mtimeMs > CACHE_TTL_MS && !pinnedFiles.has(fileName)) {
+        fs.rmSync(filePath, { force: true });
+        return false;
+      }
+      return true;
+    });
+}
+
+async function downloadImage(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.startsWith('image/')) {
+    throw new Error(`Not an image (${contentType || 'no content type'})`);
+  }
+
+  const declaredLength = Number(response.headers.get('content-length'));
+  if (declaredLength > MAX_IMAGE_BYTES) {
+    throw new Error(`Too large (${declaredLength} bytes)`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (declaredLength && buffer.length !== declaredLength) {
+    throw new Error(`Truncated (${buffer.length} of ${declaredLength} bytes)`);
+  }
+
+  return buffer;
+}
+
+/**
+ * Check one image, downloading it into the cache unless it is already there
+ * @param {string} url - Remote image URL
+ * @returns {Promise<Object>} `{ url, ok, width, height, type, bytes, fileName, cached }`,
+ *   or `{ url, ok: false, error }` for a broken image
+ */
+export async function preflightImage(url) {
+  const startTime = Date.now();
+
+  try {
+    const cachedFileName = findCachedFile(url);
+    const buffer = cachedFileName
+      ? fs.readFileSync(path.join(IMAGE_CACHE_DIR, cachedFileName))
+      : await downloadImage(url);
+
+    let dimensions;
+    try {
+      dimensions = imageSize(buffer);
+    } catch {
+      throw new Error('Not a decodable image');
+    }
+
+    const { width, height, type } = dimensions;
+    if (!SUPPORTED_TYPES[type]) {
+      throw new Error(`Unsupported image format: ${type}`);
+    }
+    if (!width || !height) {
+      throw new Error('Image has no dimensions');
+    }
+    if (!isComplete(buffer, type)) {
+      throw new Error('Truncated image data');
+    }
+
+    const fileName = cachedFileName || cacheFileName(url, type);
+    if (!cachedFileName) {
+      fs.mkdirSync(IMAGE_CACHE_DIR, { recursive: true });
+      fs.writeFileSync(path.join(IMAGE_CACHE_DIR, fileName), buffer);
+    }
+
+    return {
+      url,
+      ok: true,
+      width,
+      height,
+      type,
+      bytes: buffer.length,
+      fileName,
+      cached: Boolean(cachedFileName),
+      durationMs: Date.now() - startTime,
+    };
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? `Timed out after ${FETCH_TIMEOUT_MS}ms` : error.message;
+    return { url, ok: false, error: reason, durationMs: Date.now() - startTime };
+  }
+}
+
+/**
+ * Check the images and logo of a set of composition props
+ * @param {Object} videoInputProps - Composition props
+ * @returns {Promise<{images: Object[], logo: Object|null}>} Pre-flight result per URL
+ */
+export async function preflightVideoImages(videoInputProps) {
+  evictImageCache();
+
+  const [images, logo] = await Promise.all([
+    Promise.all((videoInputProps.images || []).map(preflightImage)),
+    videoInputProps.logoUrl ? preflightImage(videoInputProps.logoUrl) : null,
+  ]);
+
+  for (const result of [...images, logo].filter(Boolean)) {
+    if (result.ok) {
+      logger.debug('Image checked', result);
+    } else {
+      logger.warn('Dropping broken image', result);
+    }
+  }
+
+  return { images, logo };
+}
+
+/**
+ * Serve cached images to the headless browser for the length of a render.
+ * The files are pinned in the cache until `close()`.
+ * @param {Object} videoInputProps - Composition props
+ * @param {{images: Object[], logo: Object|null}} preflight - Result of preflightVideoImages
+ * @returns {Promise<{props: Object, close: Function}>} Props pointing at the local copies,
+ *   without broken images, and a function that stops the server
+ */
+export async function serveCachedImages(videoInputProps, preflight) {
+  const files = new Map(
+    [...preflight.images, preflight.logo]
+      .filter((result) => result?.ok)
+      .map((result) => [`/${result.fileName}`, result])
+  );
+
+  const server = http.createServer((req, res) => {
+    const result = files.get(req.url);
+    if (!result) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    // A missing or unreadable file fails this request, not the whole process
+    const stream = fs.createReadStream(path.join(IMAGE_CACHE_DIR, result.fileName));
+    stream.once('open', () => {
+      res.writeHead(200, {
+        'Content-Type': SUPPORTED_TYPES[result.type],
+        'Access-Control-Allow-Origin': '*',
+      });
+      stream.pipe(res);
+    });
+    stream.once('error', (error) => {
+      logger.warn('Failed to serve cached image', { fileName: result.fileName, error });
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.writeHead(error.code === 'ENOENT' ? 404 : 500).end();
+      }
+    });
+  });
+
+  const fileNames = [...new Set([...files.values()].map((result) => result.fileName))];
+  pinFiles(fileNames);
+
+  try {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', resolve);
+    });
+  } catch (error) {
+    unpinFiles(fileNames);
+    throw error;
+  }
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const localUrl = (result) => `${baseUrl}/${result.fileName}`;
+
+  return {
+    props: {
+      ...videoInputProps,
+      images: preflight.images.filter((result) => result.ok).map(localUrl),
+      logoUrl: preflight.logo?.ok ? localUrl(preflight.logo) : undefined,
+    },
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(() => {
+        unpinFiles(fileNames);
+        resolve();
+      });
+    }),
+  };
+}
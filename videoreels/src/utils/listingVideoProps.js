@@ -0,0 +1,151 @@
+/**
+ * Map a `listings` row and its seller's `profiles` row to ListingReel props
+ *
+ * The only place composition props are built from listing data. The render
+ * API, and through it the listings webhook, use it for every render and dry
+ * run, so the same listing always produces the same props and fingerprint.
+ * Pure apart from reading NEXT_PUBLIC_APP_URL, so it can be checked with fixture rows.
+ *
+ * The description shown in the video is the AI sentence from
+ * generateDetailedDescription, which is passed in - see getDescriptionInput.
+ */
+
+import { listingReelSchema } from '../compositions/listingReelSchema.js';
+
+const DEFAULT_LOGO_URL = 'https://peermetals.com/peermetals.png';
+
+const DEFAULT_TITLE = 'New Listing';
+
+// Longest description the CTA scene shows before it is cut with an ellipsis
+export const MAX_DESCRIPTION_LENGTH = 150;
+
+// Used when the seller has no profile row
+export const FALLBACK_SELLER = {
+  username: 'peermetals_seller',
+  full_name: 'PeerMetals Seller',
+  avatar_url: null,
+  reputation: 0,
+  is_verified: false,
+};
+
+/**
+ * Logo shown in the video: the app's own logo when NEXT_PUBLIC_APP_URL is set
+ * @returns {string}
+ */
+export function getLogoUrl() {
+  const appUrl = process.env.NEXT_PUBLIC_APP_URL;
+  return appUrl ? `${appUrl.replace(/\/$/, '')}/peermetals.png` : DEFAULT_LOGO_URL;
+}
+
+// Numeric columns (year 2024, purity 0.999) must reach the composition as strings
+function toText(value) {
+  if (value === null || value === undefined || value === '') {
+    return undefined;
+  }
+  return String(value).trim() || undefined;
+}
+
+// The sentence comes from Gemini or the listing and may carry markup or line breaks
+function toDescription(description) {
+  if (typeof description !== 'string') {
+    return description;
+  }
+
+  const text = description.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  return text.length > MAX_DESCRIPTION_LENGTH
+    ? `${text.substring(0, MAX_DESCRIPTION_LENGTH - 3).trimEnd()}...`
+    : text;
+}
+
+/**
+ * Specifications of a listing, as listing columns
+ * @param {Object} listing - `listings` row
+ * @returns {{category?: string, condition?: string, weight?: string, purity?: string, year?: string}}
+ */
+function getSpecifications(listing) {
+  return {
+    category: toText(listing.tier1_category || listing.tier2_category),
+    condition: toText(listing.condition),
+    weight: toText(listing.weight),
+    purity: toText(listing.purity),
+    year: toText(listing.year),
+  };
+}
+
+/**
+ * Input for generateDetailedDescription, from the same columns as the props
+ * @param {Object} listing - `listings` row
+ * @returns {{title: string, description: string, specifications: Object}}
+ */
+export function getDescriptionInput(listing) {
+  return {
+    title: listing.title,
+    description: listing.description,
+    specifications: getSpecifications(listing),
+  };
+}
+
+/**
+ * Map listing and seller rows to composition props, without validating them
+ * @param {Object} params
+ * @param {Object} params.listing - `listings` row
+ * @param {Object} [params.seller] - `profiles` row of the listing's seller
+ * @param {string} params.description - Sentence for the CTA scene. HTML tags are removed,
+ *   whitespace collapsed and the text cut to MAX_DESCRIPTION_LENGTH characters.
+ * @param {{minSeconds: number, maxSeconds: number}} [params.durationLimits] - Bounds on the video length
+ * @param {Array<{name: string, durationInSeconds?: number}>} [params.scenes] - Scenes to play, in order
+ * @returns {Object} ListingReel props
+ */
+export function mapListingToVideoProps({ listing, seller, description, durationLimits, scenes }) {
+  const profile = seller || FALLBACK_SELLER;
+  const specifications = getSpecifications(listing);
+
+  return {
+    listingTitle: toText(listing.title) || DEFAULT_TITLE,
+    listingDescription: toDescription(description),
+    images: (listing.images || []).filter((image) => typeof image === 'string' && image),
+    specifications: {
+      ...specifications,
+      weight: specifications.weight ? `${specifications.weight} oz` : undefined,
+    },
+    sellerName: profile.full_name || profile.username || FALLBACK_SELLER.full_name,
+    logoUrl: getLogoUrl(),
+    durationLimits,
+    scenes,
+  };
+}
+
+/**
+ * Schema problems with composition props
+ * @param {Object} props - ListingReel props
+ * @returns {Array<{path: string, message: string}>} Empty if the props are valid
+ */
+export function getVideoPropsErrors(props) {
+  const result = listingReelSchema.safeParse(props);
+  if (result.success) {
+    return [];
+  }
+
+  return result.error.issues.map((issue) => ({
+    path: issue.path.join('.'),
+    message: issue.message,
+  }));
+}
+
+/**
+ * Map listing and seller rows to composition props validated against listingReelSchema
+ * @param {Object} params - See mapListingToVideoProps
+ * @returns {Object} ListingReel props
+ * @throws {Error} If the props do not match the schema
+ */
+export function buildListingVideoProps(params) {
+  const props = mapListingToVideoProps(params);
+  const errors = getVideoPropsErrors(props);
+
+  if (errors.length > 0) {
+    const details = errors.map(({ path, message }) => `${path || 'props'}: ${message}`).join('; ');
+    throw new Error(`Invalid video props for listing ${params.listing.id}: ${details}`);
+  }
+
+  return props;
+}
@@ -0,0 +1,232 @@
+/**
+ * Handling of Supabase database webhook events for the `listings` table
+ *
+ * Shared by the webhook route (webhook/route.js) and the replay of failed
+ * deliveries (scripts/replay-webhooks.js), so a replayed event is handled
+ * exactly like a live one. Results are plain `{ status, body }` objects
+ * for the caller to send.
+ */
+
+import crypto from 'crypto';
+import { logger, withLogContext } from './logger.js';
+import { requestRender, requestRenderCancel, requestVideoDelete } from './renderClient.js';
+
+const SUPPORTED_EVENTS = ['INSERT', 'UPDATE', 'DELETE'];
+
+// Listing columns the video is built from - other edits (price, stock...) do not re-render
+const VIDEO_FIELDS = [
+  'title',
+  'description',
+  'images',
+  'tier1_category',
+  'tier2_category',
+  'condition',
+  'weight',
+  'purity',
+  'year',
+  'user_id',
+];
+
+function validateWebhookPayload(body) {
+  try {
+    // Check if required fields are present
+    if (!SUPPORTED_EVENTS.includes(body.type)) {
+      throw new Error(`Invalid webhook type - only ${SUPPORTED_EVENTS.join(', ')} events are supported`);
+    }
+
+    if (!body.table || body.table !== 'listings') {
+      throw new Error('Invalid table - only listings table is supported');
+    }
+
+    if (body.type !== 'INSERT' && !body.old_record) {
+      throw new Error('Missing old_record data in webhook payload');
+    }
+
+    if (body.type !== 'DELETE' && !body.record) {
+      throw new Error('Missing record data in webhook payload');
+    }
+
+    const record = body.type === 'DELETE' ? body.old_record : body.record;
+
+    // Check required fields
+    if (!record.id) {
+      throw new Error('Missing listing ID');
+    }
+
+    if (body.type !== 'DELETE') {
+      if (!record.title) {
+        throw new Error('Missing listing title');
+      }
+
+      if (!record.user_id) {
+        throw new Error('Missing user ID');
+      }
+    }
+
+    return true;
+  } catch (error) {
+    logger.warn('Webhook payload validation failed', { error, type: body.type, table: body.table });
+    throw error;
+  }
+}
+
+/**
+ * Decide what a listings event means for the listing's video:
+ * - `render` when a listing becomes active, or an active listing's video fields change
+ * - `remove` when a listing is deleted or stops being active
+ * - `skip` otherwise
+ * @param {Object} body - Validated webhook payload
+ * @returns {{action: string, reason: string}}
+ */
+export function getVideoAction({ type, record, old_record: oldRecord }) {
+  if (type === 'DELETE') {
+    return { action: 'remove', reason: 'Listing deleted' };
+  }
+
+  const isActive = record.status === 'active';
+  const wasActive = type === 'UPDATE' && oldRecord.status === 'active';
+
+  if (!isActive) {
+    return wasActive
+      ? { action: 'remove', reason: `Listing status changed to '${record.status}'` }
+      : { action: 'skip', reason: `Listing status '${record.status}' not active - skipping video generation` };
+  }
+
+  if (!wasActive) {
+    return { action: 'render', reason: type === 'INSERT' ? 'Listing created' : 'Listing published' };
+  }
+
+  // Values arrive as JSON, so comparing serialized values also covers arrays like `images`
+  const changedFields = VIDEO_FIELDS.filter(
+    (field) => JSON.stringify(record[field]) !== JSON.stringify(oldRecord[field])
+  );
+
+  if (changedFields.length === 0) {
+    return { action: 'skip', reason: 'No video-relevant fields changed' };
+  }
+
+  return { action: 'render', reason: `Video fields changed: ${changedFields.join(', ')}` };
+}
+
+/**
+ * Queue a render of the listing on the render API. The render pipeline
+ * fetches the listing and seller itself and writes `video_url` when done.
+ * @param {Object} listing - Listing row from the webhook payload
+ * @param {string} reason - Why the listing needs a new video, for the logs
+ * @param {string} idempotencyKey - Event key; the render API queues one job per key
+ * @returns {Promise<Object>} The queued job
+ */
+async function generateVideoReel(listing, reason, idempotencyKey) {
+  const job = await requestRender({ listingId: listing.id, idempotencyKey });
+  logger.info('Video reel render queued', { jobId: job.jobId, listingTitle: listing.title, reason });
+  return job;
+}
+
+// Serialize with sorted keys, so an event stored as jsonb and read back keeps its key
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Stable key of a webhook event: the same for a redelivery or a replay of
+ * it, different for any other event. Used as the render idempotency key and
+ * to find the event's failure record.
+ * @param {Object} body - Webhook payload
+ * @returns {string}
+ */
+export function getEventKey(body) {
+  const hash = crypto.createHash('sha256').update(canonicalJson(body)).digest('hex');
+  return `listing-event:${hash}`;
+}
+
+/**
+ * Handle a parsed listings webhook event
+ * @param {Object} body - Webhook payload
+ * @returns {Promise<{status: number, body: Object}>} HTTP status and response body.
+ *   A status of 500 or more means the event was not handled and can be retried.
+ */
+export async function handleListingEvent(body) {
+  try {
+    logger.debug('Video reel webhook payload', { body });
+
+    // Validate the webhook payload
+    validateWebhookPayload(body);
+
+    const listing = body.type === 'DELETE' ? body.old_record : body.record;
+    return await withLogContext({ listingId: listing.id, event: body.type }, () => processEvent(body, listing));
+
+  } catch (error) {
+    // Check if this is a validation error that we should ignore
+    if (error.message.includes('events are supported') ||
+        error.message.includes('only listings table')) {
+      logger.info('Skipping webhook', { reason: error.message });
+      return result(200, {
+        success: true,
+        message: 'Webhook skipped',
+        reason: error.message
+      });
+    }
+
+    logger.error('Video reel webhook processing failed', { error });
+    return result(error.message.includes('Missing') ? 400 : 500, {
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+function result(status, body) {
+  return { status, body };
+}
+
+async function processEvent(body, listing) {
+  const { action, reason } = getVideoAction(body);
+
+  if (action === 'skip') {
+    logger.info('Skipping webhook', { reason });
+    return result(200, {
+      success: true,
+      message: 'Webhook skipped',
+      reason
+    });
+  }
+
+  if (action === 'remove') {
+    const deleted = await requestVideoDelete(listing.id, listing);
+    logger.info('Video reel removed', { reason, deletedFiles: deleted.deletedFiles });
+
+    return result(200, {
+      success: true,
+      message: 'Video reel removed',
+      reason,
+      listingId: listing.id,
+      deletedFiles: deleted.deletedFiles,
+      cancelledJobs: deleted.cancelledJobs,
+    });
+  }
+
+  const eventKey = getEventKey(body);
+
+  // A render of the previous version must not overwrite the new one
+  if (body.type === 'UPDATE') {
+    await requestRenderCancel(listing.id, { exceptIdempotencyKey: eventKey });
+  }
+
+  const job = await generateVideoReel(listing, reason, eventKey);
+
+  return result(202, {
+    success: true,
+    message: 'Video reel render queued',
+    reason,
+    listingId: listing.id,
+    jobId: job.jobId,
+    status: job.status,
+  });
+}
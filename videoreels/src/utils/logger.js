@@ -0,0 +1,120 @@
+/**
+ * Structured logger for the video pipeline
+ *
+ * Every entry is one JSON line: time, level, msg, the current log context
+ * (requestId, jobId, listingId, ...) and any extra fields. Context is set once
+ * with withLogContext() and follows the async call chain, so shared helpers
+ * (uploads, AI descriptions, bundling) are tagged with the job they run for.
+ *
+ * Stage timings (fetch, ai, bundle, render, encode, upload...) are summed per
+ * context and read back with logger.getTimings() for the job's summary entry.
+ *
+ * LOG_LEVEL sets the minimum level: debug, info (default), warn or error.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.status && { status: error.status }),
+    stack: error.stack,
+  };
+}
+
+function write(level, message, fields = {}) {
+  const minLevel = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+  if (LEVELS[level] < minLevel) {
+    return;
+  }
+
+  const { error, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...contextStorage.getStore()?.fields,
+    ...rest,
+    ...(error !== undefined && { error: serializeError(error) }),
+  };
+
+  const line = JSON.stringify(entry);
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Run a function with extra fields on every log entry it produces.
+ * Nested contexts inherit the outer fields and share its stage timings.
+ * @param {Object} fields - e.g. `{ jobId, listingId }`
+ * @param {Function} fn - Sync or async function to run
+ */
+export function withLogContext(fields, fn) {
+  const parent = contextStorage.getStore();
+  return contextStorage.run({
+    fields: { ...parent?.fields, ...fields },
+    timings: parent?.timings ?? {},
+  }, fn);
+}
+
+/**
+ * Add a stage duration to the current context's timings and log it
+ * @param {string} stage - Stage name, e.g. `encode`
+ * @param {number} durationMs - Time spent
+ * @param {Object} [fields] - Extra fields for the log entry
+ */
+function recordStage(stage, durationMs, fields = {}) {
+  const timings = contextStorage.getStore()?.timings;
+  if (timings) {
+    timings[stage] = (timings[stage] || 0) + durationMs;
+  }
+  write('info', `${stage} finished`, { stage, durationMs, ...fields });
+}
+
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+
+  recordStage,
+
+  /**
+   * Time an async stage. Failed stages are recorded too, with `failed: true`.
+   * @param {string} stage - Stage name: fetch, ai, images, bundle, render, encode, upload...
+   * @param {Function} fn - Work to time
+   * @param {Object} [fields] - Extra fields for the log entry
+   */
+  async timeStage(stage, fn, fields = {}) {
+    const startTime = Date.now();
+    try {
+      const result = await fn();
+      recordStage(stage, Date.now() - startTime, fields);
+      return result;
+    } catch (error) {
+      recordStage(stage, Date.now() - startTime, { ...fields, failed: true });
+      throw error;
+    }
+  },
+
+  /**
+   * Milliseconds spent per stage in the current context
+   * @returns {Object<string, number>}
+   */
+  getTimings() {
+    return { ...contextStorage.getStore()?.timings };
+  },
+};
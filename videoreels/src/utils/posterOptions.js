@@ -0,0 +1,38 @@
+/**
+ * Poster image settings for rendered videos
+ * The poster is a still of one frame, used for <video poster> and social cards.
+ */
+export const POSTER_IMAGE_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+};
+
+// Without a frame the poster shows the end of the intro title reveal, wherever
+// the template puts the intro (see getIntroFrames in sceneTiming.js)
+export const DEFAULT_POSTER = { frame: undefined, imageFormat: 'jpeg' };
+
+/**
+ * Validate requested poster settings
+ * @param {Object} [poster]
+ * @param {number} [poster.frame] - Frame to capture, defaults to the intro title reveal
+ * @param {string} [poster.imageFormat] - Key of POSTER_IMAGE_FORMATS
+ * @returns {{frame?: number, imageFormat: string}}
+ */
+export function resolvePosterOptions(poster = {}) {
+  if (!poster || typeof poster !== 'object' || Array.isArray(poster)) {
+    throw new Error('Invalid poster - expected an object with frame and/or imageFormat');
+  }
+
+  const { frame = DEFAULT_POSTER.frame, imageFormat = DEFAULT_POSTER.imageFormat } = poster;
+
+  if (frame !== undefined && (!Number.isInteger(frame) || frame < 0)) {
+    throw new Error('Invalid poster frame - expected a non-negative integer');
+  }
+
+  if (typeof imageFormat !== 'string' || !Object.hasOwn(POSTER_IMAGE_FORMATS, imageFormat)) {
+    throw new Error(`Unknown poster image format: ${imageFormat}. Supported: ${Object.keys(POSTER_IMAGE_FORMATS).join(', ')}`);
+  }
+
+  return { frame, imageFormat };
+}
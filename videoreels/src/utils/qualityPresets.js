@@ -0,0 +1,74 @@
+/**
+ * Render quality presets
+ * Shared by the render API (`quality` parameter), remotion.config.js and test-render.js.
+ */
+
+export const QUALITY_PRESETS = {
+  // Bulk backfills and previews: half resolution, fastest encode
+  draft: {
+    crf: 33,
+    scale: 0.5,
+    imageFormat: 'jpeg',
+    jpegQuality: 60,
+    x264Preset: 'veryfast',
+    concurrency: '100%',
+  },
+  // Default for every listing
+  standard: {
+    crf: 28,
+    scale: 1,
+    imageFormat: 'jpeg',
+    jpegQuality: 80,
+    x264Preset: 'medium',
+    concurrency: '100%',
+  },
+  // Premium sellers: lossless frames and a slower, sharper encode.
+  // PNG frames use more memory per tab, hence the lower concurrency.
+  premium: {
+    crf: 20,
+    scale: 1,
+    imageFormat: 'png',
+    jpegQuality: null,
+    x264Preset: 'slow',
+    concurrency: '50%',
+  },
+};
+
+export const DEFAULT_QUALITY = 'standard';
+
+// ANGLE is the fastest Chromium GL backend on Vercel and locally
+export const CHROMIUM_OPTIONS = { gl: 'angle' };
+
+/**
+ * Validate a requested quality preset
+ * @param {string} [quality] - Key of QUALITY_PRESETS, defaults to DEFAULT_QUALITY
+ * @returns {string} Preset name
+ */
+export function resolveQuality(quality = DEFAULT_QUALITY) {
+  if (typeof quality !== 'string' || !Object.hasOwn(QUALITY_PRESETS, quality)) {
+    throw new Error(`Unknown quality: ${quality}. Supported: ${Object.keys(QUALITY_PRESETS).join(', ')}`);
+  }
+  return quality;
+}
+
+/**
+ * renderMedia options for a preset, with codec-specific options layered on top.
+ * CRF and x264 preset only apply to H.264 and are skipped for bitrate-capped outputs.
+ * @param {string} quality - Key of QUALITY_PRESETS
+ * @param {Object} renderOptions - Codec and encoding options, e.g. MAIN_VIDEO_OPTIONS
+ * @returns {Object} Options to spread into renderMedia
+ */
+export function getVideoRenderOptions(quality, renderOptions) {
+  const preset = QUALITY_PRESETS[quality];
+  const isH264 = renderOptions.codec === 'h264';
+
+  return {
+    imageFormat: preset.imageFormat,
+    ...(preset.imageFormat === 'jpeg' && { jpegQuality: preset.jpegQuality }),
+    scale: preset.scale,
+    concurrency: preset.concurrency,
+    ...(isH264 && !renderOptions.videoBitrate && { crf: preset.crf }),
+    ...(isH264 && { x264Preset: preset.x264Preset }),
+    ...renderOptions,
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Readiness checks for /api/health?ready=1
+ *
+ * Each check exercises one thing a render depends on, the way the render
+ * pipeline uses it: the bundled ffmpeg, headless Chromium, the Remotion
+ * bundle, the soundtrack, the database and the storage backend.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ensureBrowser, openBrowser, RenderInternals } from '@remotion/renderer';
+import { getBundleLocation } from './bundleCache.js';
+import { CHROMIUM_OPTIONS } from './qualityPresets.js';
+import { getStorage } from './storage/index.js';
+import { supabase } from './supabaseClient.js';
+import { AUDIO_FILE } from './videoFingerprint.js';
+
+// Written and deleted again by the storage check, outside the video-reels/ prefix
+const HEALTH_CHECK_PREFIX = 'health-check';
+
+// A cold start may have to download Chromium or bundle the project
+const CHECK_TIMEOUT_MS = 60000;
+
+async function checkFfmpeg() {
+  // The ffmpeg binary that ships with @remotion/renderer and encodes every render
+  const { stdout } = await RenderInternals.callFf({
+    bin: 'ffmpeg',
+    args: ['-version'],
+    indent: false,
+    logLevel: 'error',
+    binariesDirectory: null,
+    cancelSignal: undefined,
+  });
+  return { version: stdout.split('\n')[0] };
+}
+
+async function checkChromium() {
+  await ensureBrowser();
+  const browser = await openBrowser('chrome', { chromiumOptions: CHROMIUM_OPTIONS });
+  await browser.close({ silent: true });
+}
+
+async function checkBundle() {
+  const bundleLocation = await getBundleLocation();
+  if (!fs.existsSync(path.join(bundleLocation, 'index.html'))) {
+    throw new Error(`Bundle at ${bundleLocation} has no index.html`);
+  }
+  return { bundleLocation };
+}
+
+async function checkAudio() {
+  const { size } = await fs.promises.stat(AUDIO_FILE);
+  if (size === 0) {
+    throw new Error('genvideo.mp3 is empty');
+  }
+  return { bytes: size };
+}
+
+async function checkDatabase() {
+  const { error } = await supabase
+    .from('video_jobs')
+    .select('id')
+    .limit(1);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+async function checkStorage() {
+  const storage = await getStorage();
+  const fileName = `ready-${Date.now()}.txt`;
+  const localPath = path.join(os.tmpdir(), fileName);
+  const storagePath = `${HEALTH_CHECK_PREFIX}/${fileName}`;
+
+  fs.writeFileSync(localPath, 'ok');
+  try {
+    await storage.upload(localPath, storagePath, 'text/plain');
+    await storage.remove([storagePath]);
+  } finally {
+    fs.rmSync(localPath, { force: true });
+  }
+
+  return { driver: storage.name };
+}
+
+export const READINESS_CHECKS = {
+  ffmpeg: checkFfmpeg,
+  chromium: checkChromium,
+  bundle: checkBundle,
+  audio: checkAudio,
+  database: checkDatabase,
+  storage: checkStorage,
+};
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(name, check) {
+  const startTime = Date.now();
+
+  try {
+    const details = await withTimeout(check(), CHECK_TIMEOUT_MS);
+    return { name, status: 'pass', latencyMs: Date.now() - startTime, ...details };
+  } catch (error) {
+    return { name, status: 'fail', latencyMs: Date.now() - startTime, error: error.message };
+  }
+}
+
+/**
+ * Run every readiness check in parallel
+ * @returns {Promise<{status: string, checks: Object[]}>} Overall `pass` only if every check passed,
+ *   and `{ name, status, latencyMs, error? }` per check
+ */
+export async function runReadinessChecks() {
+  const checks = await Promise.all(
+    Object.entries(READINESS_CHECKS).map(([name, check]) => runCheck(name, check))
+  );
+
+  return {
+    status: checks.every((check) => check.status === 'pass') ? 'pass' : 'fail',
+    checks,
+  };
+}
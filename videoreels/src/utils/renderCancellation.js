@@ -0,0 +1,101 @@
+/**
+ * Cancellation and deadline for a running render job
+ *
+ * Cancel requests arrive at /api/cancel-render, usually in another function
+ * instance, and are recorded on the job row. The instance running the job polls
+ * for them and stops Remotion through its cancel signal. The same signal fires
+ * when the job runs past RENDER_DEADLINE_SECONDS, so the job can record
+ * `timed_out` and clean up before the platform kills the function.
+ */
+
+import { makeCancelSignal } from '@remotion/renderer';
+import { JOB_STATUS, isRenderJobCancelRequested } from './renderJobs.js';
+import { logger } from './logger.js';
+
+// Under the 900s maxDuration of api/render-video.js and api/process-queue.js
+// (vercel.json), leaving time to clean up
+const DEFAULT_DEADLINE_SECONDS = 840;
+
+const CANCEL_POLL_INTERVAL_MS = 2000;
+
+// Time a job gets past its deadline to record the outcome and delete its uploads
+const DEADLINE_GRACE_SECONDS = 60;
+
+/**
+ * Overall render deadline from RENDER_DEADLINE_SECONDS
+ * @returns {number} Milliseconds
+ */
+export function getRenderDeadlineMs() {
+  const seconds = Number.parseInt(process.env.RENDER_DEADLINE_SECONDS, 10);
+  return (Number.isInteger(seconds) && seconds > 0 ? seconds : DEFAULT_DEADLINE_SECONDS) * 1000;
+}
+
+/**
+ * Age past which a render can no longer be running: the deadline plus the
+ * grace to clean up. Older unfinished jobs were killed by the platform, and
+ * older uploads belong to renders that have ended.
+ * @returns {number} Milliseconds
+ */
+export function getStaleRenderAgeMs() {
+  return getRenderDeadlineMs() + DEADLINE_GRACE_SECONDS * 1000;
+}
+
+/**
+ * Watch a job for cancel requests and its deadline
+ * @param {Object} params
+ * @param {string} params.jobId - Job to watch
+ * @param {number} [params.deadlineMs] - Time the job may run for
+ * @returns {Object} `cancelSignal` for renderMedia/renderStill, `reason` (`{ status, message }`
+ *   once aborted), `poll()`, `throwIfAborted()` between stages, and `dispose()` when the job ends
+ */
+export function watchRenderJob({ jobId, deadlineMs = getRenderDeadlineMs() }) {
+  const { cancelSignal, cancel } = makeCancelSignal();
+  let reason = null;
+
+  const abort = (status, message) => {
+    if (reason) {
+      return;
+    }
+    reason = { status, message };
+    logger.warn('Aborting render job', { stage: 'abort', status, reason: message });
+    cancel();
+  };
+
+  const poll = async () => {
+    try {
+      if (!reason && await isRenderJobCancelRequested(jobId)) {
+        abort(JOB_STATUS.CANCELLED, 'Render cancelled');
+      }
+    } catch (error) {
+      // A missed poll only delays the cancel until the next one
+      logger.warn('Failed to check for cancel request', { error });
+    }
+  };
+
+  const deadlineTimer = setTimeout(
+    () => abort(JOB_STATUS.TIMED_OUT, `Render exceeded the ${Math.round(deadlineMs / 1000)}s deadline`),
+    deadlineMs
+  );
+  const pollTimer = setInterval(poll, CANCEL_POLL_INTERVAL_MS);
+
+  return {
+    cancelSignal,
+
+    get reason() {
+      return reason;
+    },
+
+    poll,
+
+    throwIfAborted() {
+      if (reason) {
+        throw new Error(reason.message);
+      }
+    },
+
+    dispose() {
+      clearTimeout(deadlineTimer);
+      clearInterval(pollTimer);
+    },
+  };
+}
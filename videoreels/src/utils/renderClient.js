@@ -0,0 +1,73 @@
+/**
+ * Client for the render API, for callers outside this project such as the
+ * listings webhook in webhook/route.js. Requests are signed with RENDER_API_SECRET.
+ */
+
+import { createSignedRequest } from './requestSigning.js';
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+function getRenderApiUrl() {
+  const apiUrl = process.env.RENDER_API_URL;
+  if (!apiUrl) {
+    throw new Error('RENDER_API_URL is not configured');
+  }
+  return apiUrl.replace(/\/$/, '');
+}
+
+/**
+ * POST a signed request to the render API
+ * @param {string} endpoint - e.g. `/api/render-video`
+ * @param {Object} payload - Request body
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function postSigned(endpoint, payload) {
+  const { body, headers } = createSignedRequest(payload);
+
+  const response = await fetch(`${getRenderApiUrl()}${endpoint}`, {
+    method: 'POST',
+    headers,
+    body,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(`Render API ${endpoint} failed: ${result.error || `HTTP ${response.status}`}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return result;
+}
+
+/**
+ * Queue a render job
+ * @param {Object} params - /api/render-video parameters, e.g. `{ listingId }`
+ * @returns {Promise<Object>} The queued job: `jobId`, `status`, `statusUrl`...
+ */
+export function requestRender(params) {
+  return postSigned('/api/render-video', params);
+}
+
+/**
+ * Cancel the unfinished render jobs of a listing
+ * @param {string} listingId - Listing ID
+ * @param {Object} [options]
+ * @param {string} [options.exceptIdempotencyKey] - Leave the job queued with this key running
+ * @returns {Promise<Object>} `jobs` the cancel was recorded on
+ */
+export function requestRenderCancel(listingId, { exceptIdempotencyKey } = {}) {
+  return postSigned('/api/cancel-render', { listingId, exceptIdempotencyKey });
+}
+
+/**
+ * Delete a listing's stored videos, cancelling its unfinished renders first
+ * @param {string} listingId - Listing ID
+ * @param {Object} [listingData] - Last known listing row, if the listing has been deleted
+ * @returns {Promise<Object>} `deletedFiles` and `cancelledJobs`
+ */
+export function requestVideoDelete(listingId, listingData) {
+  return postSigned('/api/delete-video', { listingId, listingData });
+}
@@ -0,0 +1,247 @@
+import { supabase } from './supabaseClient.js';
+import { logger } from './logger.js';
+
+/**
+ * Lifecycle states of a row in the `video_jobs` table
+ */
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  BUNDLING: 'bundling',
+  RENDERING: 'rendering',
+  UPLOADING: 'uploading',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  TIMED_OUT: 'timed_out',
+};
+
+/**
+ * States of a job that has not finished yet and can still be cancelled
+ */
+export const ACTIVE_JOB_STATUSES = [
+  JOB_STATUS.QUEUED,
+  JOB_STATUS.BUNDLING,
+  JOB_STATUS.RENDERING,
+  JOB_STATUS.UPLOADING,
+];
+
+// A done job answers repeats of its request for this long. Supabase redelivers
+// and failed events are replayed within it; a later event with the same
+// payload is a new edit (e.g. a price changed back) and renders again.
+const DONE_JOB_REUSE_MS = 24 * 60 * 60 * 1000;
+
+// Postgres unique_violation, raised by video_jobs_active_idempotency_key_idx
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Create a queued render job
+ * @param {Object} params
+ * @param {string} [params.listingId] - Listing the video is rendered for
+ * @param {string} [params.sellerId] - Seller the job counts against (see renderQueue.js)
+ * @param {string} [params.tier] - Key of SELLER_TIERS
+ * @param {number} [params.priority] - Higher priorities are claimed first
+ * @param {Object} [params.params] - runRenderJob parameters, used when the job is claimed
+ * @param {string} [params.idempotencyKey] - Caller's key for the request (see findRenderJobByIdempotencyKey)
+ * @returns {Promise<Object|null>} The inserted job row, or null if an unfinished job
+ *   with the same idempotency key was inserted first
+ */
+export async function createRenderJob({ listingId, sellerId, tier = 'standard', priority = 0, params = {}, idempotencyKey }) {
+  const { data, error } = await supabase
+    .from('video_jobs')
+    .insert({
+      listing_id: listingId || null,
+      seller_id: sellerId || null,
+      tier,
+      priority,
+      params,
+      idempotency_key: idempotencyKey || null,
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+    })
+    .select()
+    .single();
+
+  if (error?.code === UNIQUE_VIOLATION && idempotencyKey) {
+    return null;
+  }
+
+  if (error || !data) {
+    throw new Error(`Failed to create render job: ${error?.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Update a render job's state. Failures are logged, not thrown,
+ * so a status write never aborts a render that is otherwise fine.
+ * @param {string} jobId - Job ID
+ * @param {Object} fields - Columns to update
+ */
+export async function updateRenderJob(jobId, fields) {
+  const { error } = await supabase
+    .from('video_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+
+  if (error) {
+    logger.error('Failed to update render job', { jobId, error });
+  }
+}
+
+/**
+ * Find the job a request with this idempotency key already created: an
+ * unfinished one, or one that finished within the last day. Jobs that failed,
+ * timed out, were cancelled or have a cancel pending do not count, so the
+ * request can queue a new one. Run expireStaleRenderJobs (renderQueue.js)
+ * first, or a job whose function died still counts as unfinished.
+ * @param {string} idempotencyKey - Caller's key for the request
+ * @returns {Promise<Object|null>} The most recent such job, or null
+ */
+export async function findRenderJobByIdempotencyKey(idempotencyKey) {
+  const latest = (query) => query
+    .eq('idempotency_key', idempotencyKey)
+    .is('cancel_requested_at', null)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  const { data: active, error } = await latest(supabase
+    .from('video_jobs')
+    .select('*')
+    .in('status', ACTIVE_JOB_STATUSES));
+
+  if (error) {
+    throw new Error(`Failed to fetch render job: ${error.message}`);
+  }
+  if (active) {
+    return active;
+  }
+
+  const { data: done, error: doneError } = await latest(supabase
+    .from('video_jobs')
+    .select('*')
+    .eq('status', JOB_STATUS.DONE)
+    .gte('completed_at', new Date(Date.now() - DONE_JOB_REUSE_MS).toISOString()));
+
+  if (doneError) {
+    throw new Error(`Failed to fetch render job: ${doneError.message}`);
+  }
+
+  return done;
+}
+
+/**
+ * Fetch a render job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} The job row, or null if it does not exist
+ */
+export async function getRenderJob(jobId) {
+  const { data, error } = await supabase
+    .from('video_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch render job: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Ask the unfinished jobs for a job ID or a listing to stop.
+ * Jobs still waiting in the queue are cancelled right away. For running jobs
+ * the request is recorded on the row; the instance running the job picks it up
+ * and records `cancelled` once the render has stopped.
+ * @param {Object} params
+ * @param {string} [params.jobId] - Job to cancel
+ * @param {string} [params.listingId] - Cancel every unfinished job for this listing
+ * @param {string} [params.keepJobId] - Job of the listing to leave running
+ * @returns {Promise<Object[]>} Rows the cancel request was recorded on
+ */
+export async function requestRenderJobCancel({ jobId, listingId, keepJobId }) {
+  const now = new Date().toISOString();
+  const forJobs = (query) => {
+    if (jobId) {
+      return query.eq('id', jobId);
+    }
+    return keepJobId ? query.eq('listing_id', listingId).neq('id', keepJobId) : query.eq('listing_id', listingId);
+  };
+
+  // Never claimed - nothing is running, so the job can end here
+  const { data: unstarted, error: unstartedError } = await forJobs(supabase
+    .from('video_jobs')
+    .update({
+      status: JOB_STATUS.CANCELLED,
+      error: 'Render cancelled',
+      cancel_requested_at: now,
+      completed_at: now,
+      updated_at: now,
+    })
+    .eq('status', JOB_STATUS.QUEUED)
+    .is('started_at', null))
+    .select();
+
+  if (unstartedError) {
+    throw new Error(`Failed to cancel render job: ${unstartedError.message}`);
+  }
+
+  const { data: running, error } = await forJobs(supabase
+    .from('video_jobs')
+    .update({ cancel_requested_at: now })
+    .in('status', ACTIVE_JOB_STATUSES)
+    .is('cancel_requested_at', null))
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to cancel render job: ${error.message}`);
+  }
+
+  return [...unstarted, ...running];
+}
+
+/**
+ * Whether a cancel has been requested for a job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>}
+ */
+export async function isRenderJobCancelRequested(jobId) {
+  const { data, error } = await supabase
+    .from('video_jobs')
+    .select('cancel_requested_at')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch render job: ${error.message}`);
+  }
+
+  return Boolean(data?.cancel_requested_at);
+}
+
+/**
+ * Shape a job row for API responses
+ * @param {Object} job - Row from `video_jobs`
+ */
+export function formatRenderJob(job) {
+  return {
+    jobId: job.id,
+    listingId: job.listing_id,
+    status: job.status,
+    progress: job.progress,
+    videoUrl: job.video_url,
+    videoUrls: job.video_urls,
+    posterUrls: job.poster_urls,
+    outputUrls: job.output_urls,
+    error: job.error,
+    timings: job.timings,
+    tier: job.tier,
+    startedAt: job.started_at,
+    cancelRequestedAt: job.cancel_requested_at,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: job.completed_at,
+  };
+}
@@ -0,0 +1,586 @@
+/**
+ * Listing video render pipeline
+ * fetch listing → AI description → bundle → selectComposition → renderMedia + renderStill → upload
+ *
+ * Every stage is reported on the job row in `video_jobs` so callers can poll
+ * /api/render-status instead of holding a request open for the whole render.
+ */
+
+import { renderMedia, renderStill, selectComposition } from '@remotion/renderer';
+import path from 'path';
+import fs from 'fs';
+import { supabase } from './supabaseClient.js';
+import { generateDetailedDescription } from './generateDescription.js';
+import { JOB_STATUS, updateRenderJob } from './renderJobs.js';
+import { getBundleLocation } from './bundleCache.js';
+import { computeVideoFingerprint } from './videoFingerprint.js';
+import { VIDEO_FORMATS, DEFAULT_FORMATS, getCompositionId, getCompositionMetadata } from './videoFormats.js';
+import { pickListingTemplate } from '../compositions/reelTemplates.js';
+import { calculateSceneTiming, getIntroFrames } from '../compositions/sceneTiming.js';
+import { POSTER_IMAGE_FORMATS, DEFAULT_POSTER } from './posterOptions.js';
+import { MAIN_VIDEO_OPTIONS, VIDEO_OUTPUTS } from './videoOutputs.js';
+import { QUALITY_PRESETS, DEFAULT_QUALITY, CHROMIUM_OPTIONS, getVideoRenderOptions } from './qualityPresets.js';
+import { uploadFile, getStoragePath, removeFiles } from './storageUpload.js';
+import { FALLBACK_SELLER, getDescriptionInput, mapListingToVideoProps, buildListingVideoProps, getVideoPropsErrors } from './listingVideoProps.js';
+import { preflightVideoImages, serveCachedImages } from './imagePreflight.js';
+import { logger, withLogContext } from './logger.js';
+import { watchRenderJob } from './renderCancellation.js';
+import { recordListingVideos, pruneListingVideos, collectMediaUrls } from './videoVersions.js';
+
+// Only write progress to the database in steps of this many percent
+const PROGRESS_STEP = 5;
+
+/**
+ * Load a listing and its seller profile
+ */
+async function loadListing({ listingId, listingData }) {
+  let listing = listingData;
+
+  // Fetch listing data from Supabase if only ID provided
+  if (listingId && !listingData) {
+    logger.debug('Fetching listing');
+    const { data, error } = await supabase
+      .from('listings')
+      .select('*')
+      .eq('id', listingId)
+      .single();
+
+    if (error || !data) {
+      throw new Error(`Failed to fetch listing: ${error?.message}`);
+    }
+
+    listing = data;
+  }
+
+  // Fetch seller profile
+  logger.debug('Fetching seller profile', { userId: listing.user_id });
+  const { data: sellerProfile } = await supabase
+    .from('profiles')
+    .select('username, full_name, avatar_url')
+    .eq('id', listing.user_id)
+    .single();
+
+  return { listing, seller: sellerProfile || FALLBACK_SELLER };
+}
+
+/**
+ * Generate the AI description for the CTA scene
+ */
+function describeListing(listing) {
+  return logger.timeStage('ai', () => generateDetailedDescription(getDescriptionInput(listing)));
+}
+
+/**
+ * Media URLs already stored on a listing, keyed by format.
+ * The single-URL column (e.g. `video_url`) predates the keyed one
+ * (`video_urls`) and always holds the 9:16 reel.
+ */
+function getListingMediaUrls(listing, column) {
+  const urls = { ...(listing[`${column}s`] || {}) };
+  if (listing[column] && !urls.reel) {
+    urls.reel = listing[column];
+  }
+  return urls;
+}
+
+function pickFormats(urlsByFormat, formats) {
+  return Object.fromEntries(formats.map((format) => [format, urlsByFormat[format]]));
+}
+
+/**
+ * Render the composition to a video file
+ * @param {Object} params
+ * @param {Object} params.composition - Result of selectComposition
+ * @param {string} params.bundleLocation - Remotion bundle to render from
+ * @param {Object} params.videoInputProps - Composition props
+ * @param {string} params.outputPath - File to write
+ * @param {Object} params.renderOptions - Quality, codec and encoding options for renderMedia
+ * @param {Function} params.cancelSignal - Stops the render when the job is cancelled or times out
+ * @param {Function} params.onProgress - Called with render progress from 0 to 1
+ */
+async function renderVideoFile({
+  composition,
+  bundleLocation,
+  videoInputProps,
+  outputPath,
+  renderOptions,
+  cancelSignal,
+  onProgress,
+}) {
+  const file = path.basename(outputPath);
+  const startTime = Date.now();
+  let renderedDoneIn = null;
+
+  logger.debug('Rendering video', { file, codec: renderOptions.codec });
+
+  // Keep a requested range inside the video in case it was worked out for other props
+  const lastFrame = composition.durationInFrames - 1;
+  const frameRange = renderOptions.frameRange
+    && renderOptions.frameRange.map((frame) => Math.min(frame, lastFrame));
+
+  await renderMedia({
+    composition,
+    serveUrl: bundleLocation,
+    outputLocation: outputPath,
+    inputProps: videoInputProps,
+    onProgress: (update) => {
+      renderedDoneIn = update.renderedDoneIn ?? renderedDoneIn;
+      if (update.renderedFrames % 60 === 0) {
+        logger.debug('Render progress', {
+          file,
+          progress: Math.round(update.progress * 100),
+          renderedFrames: update.renderedFrames,
+          encodedFrames: update.encodedFrames,
+          totalFrames: composition.durationInFrames,
+        });
+      }
+      onProgress(update.progress);
+    },
+    ...renderOptions,
+    ...(frameRange && { frameRange }),
+    chromiumOptions: CHROMIUM_OPTIONS,
+    cancelSignal,
+  });
+
+  // Frames are encoded while they render; `encode` is the time left after the last frame
+  const totalMs = Date.now() - startTime;
+  const renderMs = renderedDoneIn ?? totalMs;
+  logger.recordStage('render', renderMs, { file });
+  logger.recordStage('encode', totalMs - renderMs, { file });
+}
+
+/**
+ * Render a poster frame for <video poster> and social cards
+ * @param {Object} params
+ * @param {Object} params.composition - Result of selectComposition
+ * @param {string} params.bundleLocation - Remotion bundle to render from
+ * @param {Object} params.videoInputProps - Composition props
+ * @param {string} params.outputPath - File to write
+ * @param {{frame: number, imageFormat: string}} params.poster - Poster settings, with the frame resolved
+ * @param {string} params.quality - Key of QUALITY_PRESETS
+ * @param {Function} params.cancelSignal - Stops the render when the job is cancelled or times out
+ */
+async function renderPosterFile({ composition, bundleLocation, videoInputProps, outputPath, poster, quality, cancelSignal }) {
+  const { scale, jpegQuality } = QUALITY_PRESETS[quality];
+  const posterFrame = Math.min(poster.frame, composition.durationInFrames - 1);
+  await logger.timeStage('render', () => renderStill({
+    composition,
+    serveUrl: bundleLocation,
+    output: outputPath,
+    inputProps: videoInputProps,
+    frame: posterFrame,
+    imageFormat: poster.imageFormat,
+    ...(poster.imageFormat === 'jpeg' && jpegQuality && { jpegQuality }),
+    scale,
+    chromiumOptions: CHROMIUM_OPTIONS,
+    cancelSignal,
+  }), { file: path.basename(outputPath), frame: posterFrame });
+}
+
+/**
+ * Render and upload everything missing for one format: main video, poster and extra outputs
+ * @param {Object} params
+ * @param {Object} params.plan - What to render: `{ format, video, poster, outputs }`
+ * @param {Object} params.listing - Listing row
+ * @param {string} params.template - Key of REEL_TEMPLATES to render with
+ * @param {string} params.bundleLocation - Remotion bundle to render from
+ * @param {Object} params.videoInputProps - Composition props
+ * @param {{frame: number, imageFormat: string}} params.poster - Poster settings
+ * @param {string} params.quality - Key of QUALITY_PRESETS
+ * @param {Object} params.watcher - Result of watchRenderJob, checked before each render and upload
+ * @param {Function} params.onStage - Called with JOB_STATUS.RENDERING or UPLOADING
+ * @param {Function} params.onProgress - Called with progress from 0 to 1 across this format's renders
+ * @param {Function} params.onUploaded - Called with the URL of each uploaded file
+ * @returns {Promise<{videoUrl?: string, posterUrl?: string, outputUrls: Object}>} Uploaded URLs
+ */
+async function renderFormat({
+  plan,
+  listing,
+  template,
+  bundleLocation,
+  videoInputProps,
+  poster,
+  quality,
+  watcher,
+  onStage,
+  onProgress,
+  onUploaded,
+}) {
+  const compositionId = getCompositionId(template, plan.format);
+
+  const composition = await selectComposition({
+    serveUrl: bundleLocation,
+    id: compositionId,
+    inputProps: videoInputProps,
+  });
+
+  logger.debug('Composition selected', { compositionId, durationInFrames: composition.durationInFrames });
+
+  // The poster and GIF preview follow the intro to wherever this template and these props put it
+  const introFrames = getIntroFrames(calculateSceneTiming(videoInputProps, composition.fps, template), composition.fps);
+
+  const baseName = `listing-${listing.id}-${plan.format}-${Date.now()}`;
+  const renderCount = (plan.video ? 1 : 0) + plan.outputs.length;
+  let rendersDone = 0;
+
+  // Render one file to /tmp and upload it. The temp file is removed even if either step fails.
+  const produce = async (fileName, contentType, render) => {
+    const outputPath = path.join('/tmp', fileName);
+    try {
+      watcher.throwIfAborted();
+      await onStage(JOB_STATUS.RENDERING);
+      await render(outputPath);
+      watcher.throwIfAborted();
+      await onStage(JOB_STATUS.UPLOADING);
+      const url = await uploadFile(outputPath, contentType);
+      onUploaded(url);
+      return url;
+    } finally {
+      fs.rmSync(outputPath, { force: true });
+    }
+  };
+
+  const renderVideo = (renderOptions) => (outputPath) => renderVideoFile({
+    composition,
+    bundleLocation,
+    videoInputProps,
+    outputPath,
+    renderOptions: getVideoRenderOptions(quality, renderOptions),
+    cancelSignal: watcher.cancelSignal,
+    onProgress: (progress) => onProgress((rendersDone + progress) / renderCount),
+  }).then(() => {
+    rendersDone += 1;
+  });
+
+  const result = { outputUrls: {} };
+
+  if (plan.video) {
+    result.videoUrl = await produce(`${baseName}.mp4`, 'video/mp4', renderVideo(MAIN_VIDEO_OPTIONS));
+  }
+
+  if (plan.poster) {
+    const { extension, contentType } = POSTER_IMAGE_FORMATS[poster.imageFormat];
+    const resolvedPoster = { ...poster, frame: poster.frame ?? introFrames.revealFrame };
+    result.posterUrl = await produce(`${baseName}-poster.${extension}`, contentType, (outputPath) =>
+      renderPosterFile({ composition, bundleLocation, videoInputProps, outputPath, poster: resolvedPoster, quality, cancelSignal: watcher.cancelSignal })
+    );
+  }
+
+  for (const output of plan.outputs) {
+    const { extension, contentType, introPreview, renderOptions } = VIDEO_OUTPUTS[output];
+    const options = introPreview ? { ...renderOptions, frameRange: introFrames.previewFrameRange } : renderOptions;
+    result.outputUrls[output] = await produce(`${baseName}-${output}.${extension}`, contentType, renderVideo(options));
+  }
+
+  return result;
+}
+
+/**
+ * Run a render job to completion, recording each stage on the job row
+ * @param {Object} params
+ * @param {string} params.jobId - Row in `video_jobs` to report progress on
+ * @param {string} [params.listingId] - Listing to fetch from Supabase
+ * @param {Object} [params.listingData] - Listing row passed in directly
+ * @param {string[]} [params.formats] - Keys of VIDEO_FORMATS to render, one file each
+ * @param {{frame: number, imageFormat: string}} [params.poster] - Poster settings
+ * @param {string[]} [params.outputs] - Keys of VIDEO_OUTPUTS to render for each format
+ * @param {string} [params.quality] - Key of QUALITY_PRESETS
+ * @param {boolean} [params.force] - Render even if the listing's videos are up to date
+ * @param {{minSeconds: number, maxSeconds: number}} [params.durationLimits] - Bounds on the video length
+ * @param {Object[]} [params.scenes] - Scenes to play, in order (see sceneTiming.js)
+ * @param {string} [params.template] - Key of REEL_TEMPLATES, picked from the listing's categories if not set
+ * @param {string} [params.requestId] - ID of the API request that queued the job, for log correlation
+ * @returns {Promise<{videoUrls: Object, posterUrls: Object, outputUrls: Object, reused: boolean}|null>} URLs by format,
+ *   or null if the job failed, was cancelled or timed out
+ */
+export function runRenderJob(params) {
+  const { requestId, jobId, listingId, listingData } = params;
+  return withLogContext(
+    { requestId, jobId, listingId: listingId || listingData?.id },
+    () => executeRenderJob(params)
+  );
+}
+
+async function executeRenderJob({
+  jobId,
+  listingId,
+  listingData,
+  formats = DEFAULT_FORMATS,
+  poster = DEFAULT_POSTER,
+  outputs = [],
+  quality = DEFAULT_QUALITY,
+  force = false,
+  durationLimits,
+  scenes,
+  template,
+}) {
+  const startTime = Date.now();
+  logger.info('Render job started', { stage: 'start', formats, outputs, quality, force });
+
+  const watcher = watchRenderJob({ jobId });
+
+  // Files uploaded by this job, deleted again if it is aborted before the listing points at them
+  const uploadedUrls = [];
+  let committed = false;
+
+  let lastReportedPercent = 0;
+
+  const reportProgress = (progress) => {
+    const percent = Math.round(progress * 100);
+    if (percent - lastReportedPercent >= PROGRESS_STEP) {
+      lastReportedPercent = percent;
+      // Fire and forget - progress writes must not slow down the render
+      updateRenderJob(jobId, { progress: percent });
+    }
+  };
+
+  try {
+    // The job may have been cancelled while it was queued
+    await watcher.poll();
+    watcher.throwIfAborted();
+
+    const { listing, seller } = await logger.timeStage('fetch', () => loadListing({ listingId, listingData }));
+    const reelTemplate = template || pickListingTemplate(listing);
+    logger.debug('Reel template chosen', { template: reelTemplate, requested: Boolean(template) });
+
+    // Anything already rendered from the same inputs is reused, not rendered again.
+    // The AI description is fingerprinted by what it is generated from, so this
+    // check needs no Gemini call and does not depend on Gemini repeating itself.
+    const fingerprint = computeVideoFingerprint(
+      mapListingToVideoProps({ listing, seller, durationLimits, scenes }),
+      { quality, template: reelTemplate, poster, descriptionInput: getDescriptionInput(listing) }
+    );
+    const isUpToDate = !force && listing.video_fingerprint === fingerprint;
+
+    const storedVideoUrls = getListingMediaUrls(listing, 'video_url');
+    const storedOutputUrls = listing.video_outputs || {};
+
+    // Stale media from older inputs is dropped, so only fresh URLs remain on the listing
+    const videoUrls = isUpToDate ? storedVideoUrls : {};
+    const posterUrls = isUpToDate ? getListingMediaUrls(listing, 'video_poster_url') : {};
+    const outputUrls = isUpToDate ? { ...storedOutputUrls } : {};
+
+    // When the inputs changed, every format and output the listing already has is
+    // rendered again with the requested ones, so none is lost or left out of date
+    const renderFormats = isUpToDate
+      ? formats
+      : [...new Set([...formats, ...Object.keys(storedVideoUrls)])].filter((format) => Object.hasOwn(VIDEO_FORMATS, format));
+
+    const plans = renderFormats
+      .map((format) => {
+        const formatOutputs = isUpToDate
+          ? outputs
+          : [...new Set([...outputs, ...Object.keys(storedOutputUrls[format] || {})])].filter((output) => Object.hasOwn(VIDEO_OUTPUTS, output));
+        return {
+          format,
+          video: !videoUrls[format],
+          poster: !posterUrls[format],
+          outputs: formatOutputs.filter((output) => !outputUrls[format]?.[output]),
+        };
+      })
+      .filter((plan) => plan.video || plan.poster || plan.outputs.length > 0);
+
+    if (plans.length === 0) {
+      logger.info('Video inputs unchanged - reusing existing videos', { stage: 'reuse', fingerprint });
+    } else {
+      const description = await describeListing(listing);
+      const videoInputProps = buildListingVideoProps({ listing, seller, description, durationLimits, scenes });
+
+      watcher.throwIfAborted();
+      await updateRenderJob(jobId, { status: JOB_STATUS.BUNDLING });
+
+      // Broken images are dropped and the rest served locally, so the browser never waits on the network
+      const preflight = await logger.timeStage('images', () => preflightVideoImages(videoInputProps));
+      const imageServer = await serveCachedImages(videoInputProps, preflight);
+
+      const uploadedFiles = [];
+
+      try {
+        const bundleLocation = await logger.timeStage('bundle', () => getBundleLocation());
+        watcher.throwIfAborted();
+
+        for (const [index, plan] of plans.entries()) {
+          const result = await withLogContext({ format: plan.format }, () => renderFormat({
+            plan,
+            listing,
+            template: reelTemplate,
+            bundleLocation,
+            videoInputProps: imageServer.props,
+            poster,
+            quality,
+            watcher,
+            onStage: (status) => updateRenderJob(jobId, { status }),
+            onProgress: (progress) => reportProgress((index + progress) / plans.length),
+            onUploaded: (url) => uploadedUrls.push(url),
+          }));
+
+          if (result.videoUrl) {
+            uploadedFiles.push({ format: plan.format, kind: 'video', url: result.videoUrl });
+          }
+          if (result.posterUrl) {
+            uploadedFiles.push({ format: plan.format, kind: 'poster', url: result.posterUrl });
+          }
+          for (const [output, url] of Object.entries(result.outputUrls)) {
+            uploadedFiles.push({ format: plan.format, kind: output, url });
+          }
+
+          videoUrls[plan.format] = result.videoUrl || videoUrls[plan.format];
+          posterUrls[plan.format] = result.posterUrl || posterUrls[plan.format];
+          outputUrls[plan.format] = { ...outputUrls[plan.format], ...result.outputUrls };
+        }
+      } finally {
+        await imageServer.close();
+      }
+
+      // Last chance to stop: a cancelled render must not overwrite the listing's media
+      await watcher.poll();
+      watcher.throwIfAborted();
+      committed = true;
+
+      await recordListingVideos({ listingId: listing.id, jobId, fingerprint, files: uploadedFiles });
+
+      // Update listing with media URLs and the fingerprint they were rendered from
+      const media = {
+        video_url: videoUrls.reel || null,
+        video_urls: videoUrls,
+        video_poster_url: posterUrls.reel || null,
+        video_poster_urls: posterUrls,
+        video_outputs: outputUrls,
+      };
+
+      const { error: updateError } = await supabase
+        .from('listings')
+        .update({ ...media, video_fingerprint: fingerprint })
+        .eq('id', listing.id);
+
+      if (updateError) {
+        logger.error('Failed to update listing with video URLs', { stage: 'update', error: updateError });
+      } else {
+        // Only once the listing points at the new files is it safe to delete old ones
+        await pruneListingVideos({ listingId: listing.id, keepUrls: collectMediaUrls(media) });
+      }
+    }
+
+    const jobVideoUrls = pickFormats(videoUrls, formats);
+    const jobPosterUrls = pickFormats(posterUrls, formats);
+    const jobOutputUrls = outputs.length > 0
+      ? Object.fromEntries(formats.map((format) => [
+          format,
+          Object.fromEntries(outputs.map((output) => [output, outputUrls[format]?.[output]])),
+        ]))
+      : {};
+
+    await updateRenderJob(jobId, {
+      status: JOB_STATUS.DONE,
+      progress: 100,
+      video_url: jobVideoUrls.reel || jobVideoUrls[formats[0]],
+      video_urls: jobVideoUrls,
+      poster_urls: jobPosterUrls,
+      output_urls: jobOutputUrls,
+      timings: logger.getTimings(),
+      completed_at: new Date().toISOString(),
+    });
+
+    logger.info('Render job finished', {
+      stage: 'done',
+      metric: 'render_job',
+      status: JOB_STATUS.DONE,
+      reused: plans.length === 0,
+      durationMs: Date.now() - startTime,
+      timings: logger.getTimings(),
+    });
+
+    return {
+      videoUrls: jobVideoUrls,
+      posterUrls: jobPosterUrls,
+      outputUrls: jobOutputUrls,
+      reused: plans.length === 0,
+    };
+
+  } catch (error) {
+    // Remotion's own "got cancelled" error is reported with the reason the job was stopped
+    const aborted = watcher.reason;
+    const status = aborted?.status ?? JOB_STATUS.FAILED;
+
+    const log = aborted ? logger.warn : logger.error;
+    log(aborted ? 'Render job aborted' : 'Render job failed', {
+      stage: status,
+      metric: 'render_job',
+      status,
+      durationMs: Date.now() - startTime,
+      timings: logger.getTimings(),
+      error,
+    });
+
+    if (aborted && !committed) {
+      await removeUploadedFiles(uploadedUrls);
+    }
+
+    await updateRenderJob(jobId, {
+      status,
+      error: aborted?.message ?? error.message,
+      timings: logger.getTimings(),
+      completed_at: new Date().toISOString(),
+    });
+
+    return null;
+  } finally {
+    watcher.dispose();
+  }
+}
+
+/**
+ * Delete the files of an aborted job. Failures are logged - the orphan
+ * sweep (npm run storage:orphans) catches anything left behind.
+ * @param {string[]} urls - Public URLs returned by uploadFile
+ */
+async function removeUploadedFiles(urls) {
+  try {
+    const storagePaths = await Promise.all(urls.map(getStoragePath));
+    await removeFiles(storagePaths.filter(Boolean));
+  } catch (error) {
+    logger.error('Failed to delete files of aborted job', { error });
+  }
+}
+
+/**
+ * Resolve a listing's video props without bundling or rendering.
+ * Runs the same listing fetch, seller lookup, AI description and image checks
+ * as a render, then validates the props against listingReelSchema.
+ * @param {Object} params
+ * @param {string} [params.listingId] - Listing to fetch from Supabase
+ * @param {Object} [params.listingData] - Listing row passed in directly
+ * @param {string[]} [params.formats] - Keys of VIDEO_FORMATS to report composition metadata for
+ * @param {{minSeconds: number, maxSeconds: number}} [params.durationLimits] - Bounds on the video length
+ * @param {Object[]} [params.scenes] - Scenes to play, in order
+ * @param {string} [params.template] - Key of REEL_TEMPLATES, picked from the listing's categories if not set
+ * @returns {Promise<{listingId: string, template: string, videoInputProps: Object, compositions: Object[], imageChecks: Object, valid: boolean, schemaErrors: Object[]}>}
+ */
+export async function dryRunRender({ listingId, listingData, formats = DEFAULT_FORMATS, durationLimits, scenes, template }) {
+  const { listing, seller } = await logger.timeStage('fetch', () => loadListing({ listingId, listingData }));
+  const description = await describeListing(listing);
+  const videoInputProps = mapListingToVideoProps({ listing, seller, description, durationLimits, scenes });
+  const reelTemplate = template || pickListingTemplate(listing);
+  const imageChecks = await logger.timeStage('images', () => preflightVideoImages(videoInputProps));
+
+  const schemaErrors = getVideoPropsErrors(videoInputProps);
+  const valid = schemaErrors.length === 0;
+
+  logger.info('Dry run finished', {
+    stage: 'dry_run',
+    listingId: listing.id,
+    valid,
+    schemaErrors: schemaErrors.length,
+    timings: logger.getTimings(),
+  });
+
+  return {
+    listingId: listing.id,
+    template: reelTemplate,
+    videoInputProps,
+    compositions: formats.map((format) => getCompositionMetadata(format, videoInputProps, reelTemplate)),
+    imageChecks,
+    valid,
+    schemaErrors,
+  };
+}
@@ -0,0 +1,297 @@
+/**
+ * Render queue: global concurrency, per-seller quotas and priority tiers
+ *
+ * Every render request becomes a `queued` row in `video_jobs`. A function
+ * invocation (the render request itself, a finished job or the cron on
+ * /api/process-queue) claims the next job that fits the limits and runs it:
+ * - at most RENDER_MAX_CONCURRENT jobs run at once across all instances
+ * - a seller starts at most their tier's renders per hour and per day;
+ *   later requests wait in the queue until the window frees up
+ * - verified sellers' jobs are claimed before standard ones, oldest first within a tier
+ * - jobs whose function died without recording an outcome are marked `timed_out`
+ *
+ * Limits are checked with separate queries, so two invocations claiming at
+ * the same moment can briefly run one job over the concurrency limit.
+ */
+
+import { supabase } from './supabaseClient.js';
+import { JOB_STATUS, ACTIVE_JOB_STATUSES } from './renderJobs.js';
+import { getStaleRenderAgeMs } from './renderCancellation.js';
+import { runRenderJob } from './renderPipeline.js';
+import { createSignedRequest } from './requestSigning.js';
+import { logger } from './logger.js';
+
+/**
+ * Seller tiers. `hourlyEnv`/`dailyEnv` override the default quotas.
+ */
+export const SELLER_TIERS = {
+  standard: {
+    priority: 0,
+    hourlyEnv: 'RENDER_QUOTA_PER_HOUR',
+    dailyEnv: 'RENDER_QUOTA_PER_DAY',
+    perHour: 10,
+    perDay: 50,
+  },
+  verified: {
+    priority: 10,
+    hourlyEnv: 'RENDER_VERIFIED_QUOTA_PER_HOUR',
+    dailyEnv: 'RENDER_VERIFIED_QUOTA_PER_DAY',
+    perHour: 30,
+    perDay: 200,
+  },
+};
+
+const DEFAULT_MAX_CONCURRENT = 4;
+
+// Queued jobs looked at per claim, in priority order
+const QUEUE_SCAN_LIMIT = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function readLimit(name, fallback) {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Maximum render jobs running at once, from RENDER_MAX_CONCURRENT
+ * @returns {number}
+ */
+export function getMaxConcurrentRenders() {
+  return readLimit('RENDER_MAX_CONCURRENT', DEFAULT_MAX_CONCURRENT);
+}
+
+/**
+ * Render quotas of a seller tier
+ * @param {string} tier - Key of SELLER_TIERS
+ * @returns {{perHour: number, perDay: number}}
+ */
+export function getTierQuota(tier) {
+  const { hourlyEnv, dailyEnv, perHour, perDay } = SELLER_TIERS[tier];
+  return {
+    perHour: readLimit(hourlyEnv, perHour),
+    perDay: readLimit(dailyEnv, perDay),
+  };
+}
+
+/**
+ * Find the seller of a listing and their tier
+ * @param {Object} params
+ * @param {string} [params.listingId] - Listing to look up
+ * @param {Object} [params.listingData] - Listing row passed in directly
+ * @returns {Promise<{sellerId: string|null, tier: string}>}
+ */
+export async function resolveSellerTier({ listingId, listingData }) {
+  let sellerId = listingData?.user_id;
+
+  if (!sellerId && listingId) {
+    const { data: listing } = await supabase
+      .from('listings')
+      .select('user_id')
+      .eq('id', listingId)
+      .maybeSingle();
+    sellerId = listing?.user_id;
+  }
+
+  if (!sellerId) {
+    return { sellerId: null, tier: 'standard' };
+  }
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('is_verified')
+    .eq('id', sellerId)
+    .maybeSingle();
+
+  return { sellerId, tier: profile?.is_verified ? 'verified' : 'standard' };
+}
+
+/**
+ * Record `timed_out` on claimed jobs still active past the deadline plus its
+ * grace. Their function was killed before it could record the outcome, and
+ * until they end they hold a slot and keep showing as running in
+ * /api/render-status and to /api/cancel-render.
+ * @returns {Promise<Object[]>} The jobs that were ended
+ */
+export async function expireStaleRenderJobs() {
+  const now = new Date().toISOString();
+  const staleBefore = new Date(Date.now() - getStaleRenderAgeMs()).toISOString();
+
+  const { data, error } = await supabase
+    .from('video_jobs')
+    .update({
+      status: JOB_STATUS.TIMED_OUT,
+      error: 'Render stopped without recording an outcome',
+      completed_at: now,
+      updated_at: now,
+    })
+    .in('status', ACTIVE_JOB_STATUSES)
+    .lt('started_at', staleBefore)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to expire stale render jobs: ${error.message}`);
+  }
+
+  if (data.length > 0) {
+    logger.warn('Stale render jobs marked timed out', { jobIds: data.map((job) => job.id) });
+  }
+
+  return data;
+}
+
+async function countRunningJobs() {
+  const { count, error } = await supabase
+    .from('video_jobs')
+    .select('id', { count: 'exact', head: true })
+    .in('status', ACTIVE_JOB_STATUSES)
+    .not('started_at', 'is', null);
+
+  if (error) {
+    throw new Error(`Failed to count running render jobs: ${error.message}`);
+  }
+
+  return count;
+}
+
+async function countSellerJobsSince(sellerId, since) {
+  const { count, error } = await supabase
+    .from('video_jobs')
+    .select('id', { count: 'exact', head: true })
+    .eq('seller_id', sellerId)
+    .gte('started_at', new Date(since).toISOString());
+
+  if (error) {
+    throw new Error(`Failed to count seller render jobs: ${error.message}`);
+  }
+
+  return count;
+}
+
+async function isWithinQuota(job) {
+  if (!job.seller_id) {
+    return true;
+  }
+
+  const { perHour, perDay } = getTierQuota(job.tier);
+  const now = Date.now();
+
+  const [lastHour, lastDay] = await Promise.all([
+    countSellerJobsSince(job.seller_id, now - HOUR_MS),
+    countSellerJobsSince(job.seller_id, now - DAY_MS),
+  ]);
+
+  return lastHour < perHour && lastDay < perDay;
+}
+
+/**
+ * Claim the highest-priority queued job that fits the concurrency limit and its seller's quota
+ * @returns {Promise<Object|null>} The claimed job row, now with `started_at` set, or null
+ */
+export async function claimNextRenderJob() {
+  await expireStaleRenderJobs();
+
+  const running = await countRunningJobs();
+  if (running >= getMaxConcurrentRenders()) {
+    return null;
+  }
+
+  const { data: queued, error } = await supabase
+    .from('video_jobs')
+    .select('*')
+    .eq('status', JOB_STATUS.QUEUED)
+    .is('started_at', null)
+    .is('cancel_requested_at', null)
+    .order('priority', { ascending: false })
+    .order('created_at', { ascending: true })
+    .limit(QUEUE_SCAN_LIMIT);
+
+  if (error) {
+    throw new Error(`Failed to read render queue: ${error.message}`);
+  }
+
+  // A seller over quota only blocks their own jobs, not the ones behind them
+  const sellersOverQuota = new Set();
+
+  for (const job of queued) {
+    if (sellersOverQuota.has(job.seller_id)) {
+      continue;
+    }
+    if (!await isWithinQuota(job)) {
+      sellersOverQuota.add(job.seller_id);
+      continue;
+    }
+
+    // Only one invocation can set started_at, so a job never runs twice
+    const { data: claimed, error: claimError } = await supabase
+      .from('video_jobs')
+      .update({ started_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', job.id)
+      .is('started_at', null)
+      .is('cancel_requested_at', null)
+      .select()
+      .maybeSingle();
+
+    if (claimError) {
+      throw new Error(`Failed to claim render job: ${claimError.message}`);
+    }
+    if (claimed) {
+      logger.info('Render job claimed', { jobId: claimed.id, tier: claimed.tier, running: running + 1 });
+      return claimed;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Ask a fresh invocation of /api/process-queue to claim the next job.
+ * Each render gets its own invocation, and its own time limit. Without
+ * RENDER_API_URL or VERCEL_URL the cron picks queued jobs up instead.
+ */
+export async function triggerQueue() {
+  const baseUrl = process.env.RENDER_API_URL
+    || (process.env.VERCEL_URL && `https://${process.env.VERCEL_URL}`);
+
+  if (!baseUrl) {
+    return;
+  }
+
+  try {
+    const { body, headers } = createSignedRequest({});
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/api/process-queue`, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(10000),
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  } catch (error) {
+    // The cron retries within a minute
+    logger.warn('Failed to trigger render queue', { error });
+  }
+}
+
+/**
+ * Claim the next job and run it in this invocation. Another invocation is
+ * triggered right away in case more jobs fit, and again once the job ends.
+ * @returns {Promise<{job: Object, done: Promise}|null>} The claimed job and a promise
+ *   to keep the function alive for (waitUntil), or null if nothing could start
+ */
+export async function startNextRenderJob() {
+  const job = await claimNextRenderJob();
+  if (!job) {
+    return null;
+  }
+
+  const done = Promise.all([
+    triggerQueue(),
+    runRenderJob({ ...job.params, jobId: job.id }).then(() => triggerQueue()),
+  ]);
+
+  return { job, done };
+}
@@ -0,0 +1,120 @@
+/**
+ * HMAC request signing for the render API
+ *
+ * Callers sign `<timestamp>.<body>` with the shared RENDER_API_SECRET and send
+ * the result in the signature header. The body must be sent exactly as signed,
+ * which is the JSON.stringify output returned by createSignedRequest.
+ */
+
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'x-peermetals-signature';
+export const TIMESTAMP_HEADER = 'x-peermetals-timestamp';
+
+// Requests older (or further in the future) than this are rejected as replays
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function computeSignature(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Serialize and sign a JSON request body
+ * @param {Object} payload - Request body
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Shared secret (defaults to RENDER_API_SECRET)
+ * @param {number} [options.timestamp] - Unix time in seconds (defaults to now)
+ * @returns {{body: string, headers: Object}} Body string and headers to send with it
+ */
+export function createSignedRequest(payload, {
+  secret = process.env.RENDER_API_SECRET,
+  timestamp = Math.floor(Date.now() / 1000),
+} = {}) {
+  if (!secret) {
+    throw new Error('RENDER_API_SECRET is not configured');
+  }
+
+  const body = JSON.stringify(payload);
+
+  return {
+    body,
+    headers: {
+      'Content-Type': 'application/json',
+      [SIGNATURE_HEADER]: computeSignature(secret, timestamp, body),
+      [TIMESTAMP_HEADER]: String(timestamp),
+    },
+  };
+}
+
+/**
+ * Verify a signed request
+ * @param {Object} params
+ * @param {string} params.body - Raw request body
+ * @param {Object} params.headers - Request headers (lower-cased names)
+ * @param {string} [params.secret] - Shared secret (defaults to RENDER_API_SECRET)
+ * @param {number} [params.now] - Unix time in seconds (defaults to now)
+ * @returns {{valid: boolean, status?: number, error?: string}} Result with the HTTP status to reject with
+ */
+export function verifySignedRequest({
+  body,
+  headers,
+  secret = process.env.RENDER_API_SECRET,
+  now = Math.floor(Date.now() / 1000),
+}) {
+  if (!secret) {
+    return { valid: false, status: 500, error: 'Request signing is not configured' };
+  }
+
+  const signature = headers[SIGNATURE_HEADER];
+  const timestamp = Number(headers[TIMESTAMP_HEADER]);
+
+  if (!signature || !headers[TIMESTAMP_HEADER]) {
+    return { valid: false, status: 401, error: 'Missing request signature' };
+  }
+
+  if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { valid: false, status: 401, error: 'Request timestamp outside the allowed window' };
+  }
+
+  if (!safeEqual(signature, computeSignature(secret, timestamp, body))) {
+    return { valid: false, status: 403, error: 'Invalid request signature' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Verify a Supabase database webhook delivery (webhook/route.js).
+ * The listings trigger signs payloads like render API callers do, but with
+ * its own SUPABASE_WEBHOOK_SECRET. Pure apart from the defaults, so fixture
+ * payloads can be checked with a fixed `secret` and `now`.
+ * @param {Object} params
+ * @param {string} params.body - Raw request body, exactly as received
+ * @param {Headers|Object} params.headers - Fetch API Headers or a plain object
+ * @param {string} [params.secret] - Shared secret (defaults to SUPABASE_WEBHOOK_SECRET)
+ * @param {number} [params.now] - Unix time in seconds (defaults to now)
+ * @returns {{valid: boolean, status?: number, error?: string}} Result with the HTTP status to reject with
+ */
+export function verifyWebhookSignature({
+  body,
+  headers,
+  secret = process.env.SUPABASE_WEBHOOK_SECRET,
+  now,
+}) {
+  const entries = typeof headers.entries === 'function' ? headers.entries() : Object.entries(headers);
+  const lowerCased = Object.fromEntries(
+    [...entries].map(([name, value]) => [name.toLowerCase(), value])
+  );
+
+  return verifySignedRequest({ body, headers: lowerCased, secret, now });
+}
@@ -0,0 +1,93 @@
+/**
+ * Entry point shared by the signed API handlers
+ *
+ * Checks the method, opens a log context with the request ID, verifies the
+ * HMAC signature against the body bytes exactly as sent (see requestSigning.js)
+ * and only then parses the JSON. The handlers export `config.api.bodyParser: false`
+ * so nothing re-serializes the body before it is verified.
+ */
+
+import crypto from 'crypto';
+import { verifySignedRequest } from './requestSigning.js';
+import { logger, withLogContext } from './logger.js';
+
+/**
+ * Read the request body as sent
+ * @param {import('http').IncomingMessage} req - Request, read as a stream
+ * @returns {Promise<string>} Body text, empty if there is none
+ */
+export async function readRawBody(req) {
+  // Test doubles and some dev servers hand over a body that was already read
+  if (typeof req[Symbol.asyncIterator] !== 'function') {
+    return typeof req.body === 'string' || Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+  }
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Whether a request carries `Authorization: Bearer <CRON_SECRET>`, as Vercel cron jobs send
+ * @param {Object} req - Request with lower-cased header names
+ * @returns {boolean}
+ */
+export function isCronRequest(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || typeof req.headers.authorization !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(req.headers.authorization);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Wrap a handler so it only runs for signed requests
+ * @param {Function} handle - Called as `handle(req, res, { body, requestId })` with the parsed body
+ * @param {Object} options
+ * @param {string} options.name - What is requested, for the rejection log ("render", "cancel"...)
+ * @param {string[]} [options.methods] - Accepted HTTP methods
+ * @param {boolean} [options.allowCron] - Also accept GET requests from Vercel cron (see isCronRequest)
+ * @param {Object} [options.logContext] - Extra fields for every log entry of the request
+ * @returns {Function} Vercel handler `(req, res)`
+ */
+export function createSignedHandler(handle, { name, methods = ['POST'], allowCron = false, logContext = {} }) {
+  return async function handler(req, res) {
+    if (!methods.includes(req.method)) {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const requestId = req.headers['x-vercel-id'] || crypto.randomUUID();
+
+    return withLogContext({ requestId, ...logContext }, async () => {
+      if (allowCron && req.method === 'GET' && isCronRequest(req)) {
+        return handle(req, res, { body: {}, requestId });
+      }
+
+      const rawBody = await readRawBody(req);
+      const verification = verifySignedRequest({ body: rawBody, headers: req.headers });
+
+      if (!verification.valid) {
+        logger.warn(`Rejected ${name} request`, { reason: verification.error });
+        return res.status(verification.status).json({ success: false, error: verification.error });
+      }
+
+      let body;
+      try {
+        body = rawBody ? JSON.parse(rawBody) : {};
+      } catch {
+        return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+      }
+
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return res.status(400).json({ success: false, error: 'Request body must be a JSON object' });
+      }
+
+      return handle(req, res, { body, requestId });
+    });
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Storage backend for rendered media, chosen by STORAGE_DRIVER
+ *
+ * Every backend implements the same interface:
+ *   upload(localPath, storagePath, contentType) - stream a file to storagePath, overwriting
+ *   getPublicUrl(storagePath)                   - URL the file is served from
+ *   getStoragePath(publicUrl)                   - inverse of getPublicUrl, null for other URLs
+ *   list(prefix)                                - storage paths of the files directly under prefix
+ *   remove(storagePaths)                        - delete files
+ * Failures throw. Retries are handled by the caller (see storageUpload.js).
+ */
+
+// Backends are imported on demand, so only the configured one's SDK is loaded.
+// The local backend itself needs neither Supabase credentials nor network access;
+// the pipeline around it still uses Supabase for listings and jobs.
+export const STORAGE_DRIVERS = {
+  supabase: async (env) => (await import('./supabaseStorage.js')).createSupabaseStorage({
+    bucket: env.SUPABASE_STORAGE_BUCKET || 'listings',
+  }),
+  s3: async (env) => (await import('./s3Storage.js')).createS3Storage({
+    bucket: env.S3_BUCKET,
+    region: env.S3_REGION,
+    endpoint: env.S3_ENDPOINT,
+    accessKeyId: env.S3_ACCESS_KEY_ID,
+    secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+    publicUrl: env.S3_PUBLIC_URL,
+  }),
+  local: async (env) => (await import('./localStorage.js')).createLocalStorage({
+    rootDir: env.LOCAL_STORAGE_DIR || '.storage',
+    publicUrl: env.LOCAL_STORAGE_PUBLIC_URL,
+  }),
+};
+
+let storagePromise;
+
+/**
+ * Create a storage backend
+ * @param {string} driver - Key of STORAGE_DRIVERS
+ * @param {Object} [env] - Configuration, read from process.env by default
+ * @returns {Promise<Object>} The backend
+ */
+export async function createStorage(driver, env = process.env) {
+  const create = STORAGE_DRIVERS[driver];
+  if (!create) {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver}. Supported: ${Object.keys(STORAGE_DRIVERS).join(', ')}`);
+  }
+  return create(env);
+}
+
+/**
+ * The configured storage backend, created on first use
+ * @returns {Promise<Object>}
+ */
+export function getStorage() {
+  storagePromise ??= createStorage(process.env.STORAGE_DRIVER || 'supabase');
+  return storagePromise;
+}
@@ -0,0 +1,72 @@
+/**
+ * Local filesystem backend for development. Without a Supabase project only
+ * `test-render.js --upload` runs; the render pipeline still needs the database.
+ *
+ * Files are copied into `rootDir`. Public URLs are `file://` URLs unless
+ * `publicUrl` points at a server that serves `rootDir`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * @param {Object} options
+ * @param {string} options.rootDir - Directory files are stored in
+ * @param {string} [options.publicUrl] - Base URL that serves rootDir
+ */
+export function createLocalStorage({ rootDir, publicUrl }) {
+  const root = path.resolve(rootDir);
+  const baseUrl = (publicUrl || pathToFileURL(root).href).replace(/\/+$/, '');
+
+  // Storage paths come from our own code, but never let one escape the root
+  const resolvePath = (storagePath) => {
+    const filePath = path.resolve(root, storagePath);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Storage path outside ${root}: ${storagePath}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async upload(localPath, storagePath) {
+      const filePath = resolvePath(storagePath);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.copyFile(localPath, filePath);
+    },
+
+    getPublicUrl(storagePath) {
+      return `${baseUrl}/${storagePath}`;
+    },
+
+    getStoragePath(url) {
+      if (!url?.startsWith(`${baseUrl}/`)) {
+        return null;
+      }
+      return decodeURIComponent(url.slice(baseUrl.length + 1));
+    },
+
+    async list(prefix) {
+      try {
+        const entries = await fs.promises.readdir(resolvePath(prefix), { withFileTypes: true });
+        return entries
+          .filter((entry) => entry.isFile())
+          .map((entry) => `${prefix}/${entry.name}`)
+          .sort();
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+    },
+
+    async remove(storagePaths) {
+      await Promise.all(storagePaths.map((storagePath) =>
+        fs.promises.rm(resolvePath(storagePath), { force: true })
+      ));
+    },
+  };
+}
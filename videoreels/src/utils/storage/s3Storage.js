@@ -0,0 +1,111 @@
+/**
+ * S3-compatible backend: AWS S3, Cloudflare R2, MinIO, Backblaze B2...
+ *
+ * Files are served from `publicUrl` (usually a CDN in front of the bucket).
+ */
+
+import fs from 'fs';
+import { S3Client, ListObjectsV2Command, DeleteObjectsCommand } from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+
+const CACHE_CONTROL = 'public, max-age=3600';
+
+// DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * @param {Object} options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} [options.region] - Bucket region
+ * @param {string} [options.endpoint] - Endpoint for non-AWS providers
+ * @param {string} [options.accessKeyId] - Defaults to the SDK's credential chain
+ * @param {string} [options.secretAccessKey]
+ * @param {boolean} [options.forcePathStyle] - Needed by MinIO and some other providers
+ * @param {string} [options.publicUrl] - Base URL files are served from
+ */
+export function createS3Storage({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  publicUrl,
+}) {
+  if (!bucket) {
+    throw new Error('S3 storage requires S3_BUCKET');
+  }
+
+  const baseUrl = (publicUrl || `https://${bucket}.s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  return {
+    name: 's3',
+
+    async upload(localPath, storagePath, contentType) {
+      // Multipart above 5 MB, streamed from disk
+      await new Upload({
+        client,
+        params: {
+          Bucket: bucket,
+          Key: storagePath,
+          Body: fs.createReadStream(localPath),
+          ContentType: contentType,
+          CacheControl: CACHE_CONTROL,
+        },
+      }).done();
+    },
+
+    getPublicUrl(storagePath) {
+      return `${baseUrl}/${storagePath}`;
+    },
+
+    getStoragePath(url) {
+      if (!url?.startsWith(`${baseUrl}/`)) {
+        return null;
+      }
+      return decodeURIComponent(url.slice(baseUrl.length + 1).split('?')[0]);
+    },
+
+    async list(prefix) {
+      const paths = [];
+      let ContinuationToken;
+
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: `${prefix}/`,
+          Delimiter: '/',
+          ContinuationToken,
+        }));
+
+        paths.push(...(page.Contents || []).map((object) => object.Key));
+        ContinuationToken = page.NextContinuationToken;
+      } while (ContinuationToken);
+
+      return paths;
+    },
+
+    async remove(storagePaths) {
+      for (let i = 0; i < storagePaths.length; i += DELETE_BATCH_SIZE) {
+        const { Errors } = await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: {
+            Objects: storagePaths.slice(i, i + DELETE_BATCH_SIZE).map((Key) => ({ Key })),
+            Quiet: true,
+          },
+        }));
+
+        if (Errors?.length > 0) {
+          throw new Error(`${Errors.length} file(s) not deleted: ${Errors[0].Key} (${Errors[0].Message})`);
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Supabase Storage backend
+ *
+ * Files above RESUMABLE_THRESHOLD_BYTES use Supabase's TUS endpoint, which
+ * uploads in chunks and resumes from the last accepted chunk after a network error.
+ */
+
+import fs from 'fs';
+import * as tus from 'tus-js-client';
+import { supabase, supabaseUrl, supabaseKey } from '../supabaseClient.js';
+
+const CACHE_CONTROL = '3600';
+
+// Supabase recommends resumable uploads above 6 MB and requires 6 MB chunks
+const RESUMABLE_THRESHOLD_BYTES = 6 * 1024 * 1024;
+const RESUMABLE_CHUNK_BYTES = 6 * 1024 * 1024;
+
+// Page size for listing the bucket
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * @param {Object} options
+ * @param {string} options.bucket - Storage bucket name
+ */
+export function createSupabaseStorage({ bucket }) {
+  const publicPathMarker = `/storage/v1/object/public/${bucket}/`;
+
+  async function uploadStandard(localPath, storagePath, contentType) {
+    const { error } = await supabase.storage
+      .from(bucket)
+      .upload(storagePath, fs.createReadStream(localPath), {
+        contentType,
+        cacheControl: CACHE_CONTROL,
+        upsert: true, // A retry after a lost response must not fail as a duplicate
+        duplex: 'half', // Required by fetch for streamed request bodies
+      });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  function uploadResumable(localPath, storagePath, contentType, size) {
+    return new Promise((resolve, reject) => {
+      const upload = new tus.Upload(fs.createReadStream(localPath), {
+        endpoint: `${supabaseUrl}/storage/v1/upload/resumable`,
+        headers: {
+          authorization: `Bearer ${supabaseKey}`,
+          'x-upsert': 'true',
+        },
+        uploadSize: size,
+        chunkSize: RESUMABLE_CHUNK_BYTES,
+        uploadDataDuringCreation: true,
+        removeFingerprintOnSuccess: true,
+        // tus resumes from the last accepted chunk between these retries
+        retryDelays: [0, 1000, 3000, 5000, 10000],
+        metadata: {
+          bucketName: bucket,
+          objectName: storagePath,
+          contentType,
+          cacheControl: CACHE_CONTROL,
+        },
+        onError: reject,
+        onSuccess: () => resolve(),
+      });
+
+      upload.start();
+    });
+  }
+
+  return {
+    name: 'supabase',
+
+    async upload(localPath, storagePath, contentType) {
+      const { size } = fs.statSync(localPath);
+      if (size > RESUMABLE_THRESHOLD_BYTES) {
+        await uploadResumable(localPath, storagePath, contentType, size);
+      } else {
+        await uploadStandard(localPath, storagePath, contentType);
+      }
+    },
+
+    getPublicUrl(storagePath) {
+      const { data: { publicUrl } } = supabase.storage
+        .from(bucket)
+        .getPublicUrl(storagePath);
+      return publicUrl;
+    },
+
+    getStoragePath(publicUrl) {
+      const index = publicUrl?.indexOf(publicPathMarker) ?? -1;
+      if (index === -1) {
+        return null;
+      }
+      return decodeURIComponent(publicUrl.slice(index + publicPathMarker.length).split('?')[0]);
+    },
+
+    async list(prefix) {
+      const paths = [];
+
+      for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+        const { data, error } = await supabase.storage
+          .from(bucket)
+          .list(prefix, { limit: LIST_PAGE_SIZE, offset, sortBy: { column: 'name', order: 'asc' } });
+
+        if (error) {
+          throw error;
+        }
+
+        paths.push(...data.map((file) => `${prefix}/${file.name}`));
+
+        if (data.length < LIST_PAGE_SIZE) {
+          return paths;
+        }
+      }
+    },
+
+    async remove(storagePaths) {
+      const { error } = await supabase.storage.from(bucket).remove(storagePaths);
+      if (error) {
+        throw error;
+      }
+    },
+  };
+}
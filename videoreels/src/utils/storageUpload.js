@@ -0,0 +1,133 @@
+/**
+ * Upload rendered media to the configured storage backend (see storage/index.js)
+ *
+ * Files are streamed from disk rather than read into memory. Transient
+ * failures (network errors, 429, 5xx) are retried with backoff, so one blip
+ * does not throw away a finished render.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { getStorage } from './storage/index.js';
+import { logger } from './logger.js';
+
+// Every rendered file lives directly under this folder of the bucket
+export const VIDEO_PREFIX = 'video-reels';
+
+const MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Whether an upload error is worth retrying
+ */
+export function isTransientUploadError(error) {
+  const status = Number(
+    error?.status ??
+    error?.statusCode ??
+    error?.$metadata?.httpStatusCode ?? // AWS SDK
+    error?.originalResponse?.getStatus?.() // tus
+  );
+  if (!status) {
+    // No HTTP status - network failure, socket reset, DNS
+    return true;
+  }
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Run an async operation, retrying transient failures with exponential backoff and jitter
+ * @param {Function} operation - Called with the attempt number, starting at 1
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Total attempts including the first
+ * @param {number} [options.baseDelayMs] - Delay before the first retry
+ * @param {Function} [options.isRetryable] - Decides whether an error is retried
+ */
+export async function withRetry(operation, {
+  maxAttempts = MAX_ATTEMPTS,
+  baseDelayMs = BASE_DELAY_MS,
+  isRetryable = isTransientUploadError,
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delay = baseDelayMs * 2 ** (attempt - 1) * (0.5 + Math.random() / 2);
+      logger.warn('Attempt failed - retrying', { attempt, delayMs: Math.round(delay), error });
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Upload a local file to VIDEO_PREFIX
+ * @param {string} localPath - File to upload
+ * @param {string} contentType - MIME type of the file
+ * @returns {Promise<string>} Public URL of the uploaded file
+ */
+export async function uploadFile(localPath, contentType) {
+  const storage = await getStorage();
+  const storagePath = `${VIDEO_PREFIX}/${path.basename(localPath)}`;
+  const { size } = fs.statSync(localPath);
+
+  try {
+    await logger.timeStage(
+      'upload',
+      () => withRetry(() => storage.upload(localPath, storagePath, contentType)),
+      { file: path.basename(localPath), bytes: size, driver: storage.name }
+    );
+  } catch (error) {
+    throw new Error(`Upload failed: ${error.message}`);
+  }
+
+  return storage.getPublicUrl(storagePath);
+}
+
+/**
+ * Path inside the storage backend of a public URL returned by uploadFile
+ * @param {string} publicUrl - Public file URL
+ * @returns {Promise<string|null>} Storage path, or null if the URL is not served by the backend
+ */
+export async function getStoragePath(publicUrl) {
+  const storage = await getStorage();
+  return storage.getStoragePath(publicUrl);
+}
+
+/**
+ * List every file under VIDEO_PREFIX
+ * @returns {Promise<string[]>} Storage paths
+ */
+export async function listVideoFiles() {
+  const storage = await getStorage();
+
+  try {
+    return await withRetry(() => storage.list(VIDEO_PREFIX));
+  } catch (error) {
+    throw new Error(`Failed to list ${VIDEO_PREFIX}/: ${error.message}`);
+  }
+}
+
+/**
+ * Delete files from storage
+ * @param {string[]} storagePaths - Storage paths
+ */
+export async function removeFiles(storagePaths) {
+  if (storagePaths.length === 0) {
+    return;
+  }
+
+  const storage = await getStorage();
+
+  try {
+    await withRetry(() => storage.remove(storagePaths));
+  } catch (error) {
+    throw new Error(`Failed to delete files: ${error.message}`);
+  }
+
+  logger.info('Deleted files from storage', { count: storagePaths.length });
+}
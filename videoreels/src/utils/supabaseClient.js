@@ -0,0 +1,10 @@
+import { createClient } from '@supabase/supabase-js';
+
+export const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+export const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
+
+/**
+ * Shared Supabase client for the render service.
+ * Uses the service role key so jobs can update listings and upload to storage.
+ */
+export const supabase = createClient(supabaseUrl, supabaseKey);
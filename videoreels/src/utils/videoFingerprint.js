@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_QUALITY } from './qualityPresets.js';
+import { DEFAULT_TEMPLATE } from '../compositions/reelTemplates.js';
+import { DEFAULT_POSTER } from './posterOptions.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// src/utils → project root
+export const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+// Soundtrack of every video, also checked by /api/health?ready=1
+export const AUDIO_FILE = path.join(PROJECT_ROOT, 'public', 'genvideo.mp3');
+
+/**
+ * Version of the ListingReel compositions, shared by every reel template.
+ * Bump this when a composition change should re-render existing videos.
+ */
+export const TEMPLATE_VERSION = '1';
+
+let audioHash = null;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Serialize a value with object keys sorted, so equal props always hash the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+function getAudioHash() {
+  if (!audioHash) {
+    audioHash = sha256(fs.readFileSync(AUDIO_FILE));
+  }
+  return audioHash;
+}
+
+/**
+ * Fingerprint everything that determines how a listing's video looks
+ * @param {Object} videoInputProps - Final props passed to the composition
+ * @param {Object} [options]
+ * @param {string} [options.quality] - Quality preset the video is rendered at
+ * @param {string} [options.template] - Reel template the video is rendered with
+ * @param {{frame?: number, imageFormat: string}} [options.poster] - Poster settings the posters are rendered with
+ * @param {Object} [options.descriptionInput] - What the AI description is generated from
+ *   (see getDescriptionInput). When set, it is fingerprinted instead of `listingDescription`,
+ *   so the fingerprint is known before the description is generated
+ * @returns {string} Hex digest, stored as `video_fingerprint` on the listing
+ */
+export function computeVideoFingerprint(videoInputProps, {
+  quality = DEFAULT_QUALITY,
+  template = DEFAULT_TEMPLATE,
+  poster = DEFAULT_POSTER,
+  descriptionInput,
+} = {}) {
+  return sha256(stableStringify({
+    props: descriptionInput ? { ...videoInputProps, listingDescription: undefined } : videoInputProps,
+    descriptionInput,
+    templateVersion: TEMPLATE_VERSION,
+    audio: getAudioHash(),
+    quality,
+    template,
+    poster,
+  }));
+}
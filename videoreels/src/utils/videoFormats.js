@@ -0,0 +1,186 @@
+import {
+  calculateSceneTiming,
+  getMinimumDurationSeconds,
+  DEFAULT_MIN_DURATION_SECONDS,
+  DEFAULT_MAX_DURATION_SECONDS,
+} from '../compositions/sceneTiming.js';
+import { sceneListSchema } from '../compositions/listingReelSchema.js';
+import { REEL_TEMPLATES, DEFAULT_TEMPLATE } from '../compositions/reelTemplates.js';
+
+/**
+ * Output formats for listing videos
+ * Each format of each reel template is registered as its own composition in
+ * Root.jsx, with the format's suffix on the template's composition ID
+ * (e.g. `BullionReel-Landscape`), and can be requested from /api/render-video via `formats`.
+ */
+export const VIDEO_FORMATS = {
+  reel: { idSuffix: '', width: 1080, height: 1920 }, // Instagram/TikTok (9:16)
+  landscape: { idSuffix: '-Landscape', width: 1920, height: 1080 }, // YouTube (16:9)
+  square: { idSuffix: '-Square', width: 1080, height: 1080 }, // Feeds (1:1)
+  portrait: { idSuffix: '-Portrait', width: 1080, height: 1350 }, // Facebook (4:5)
+};
+
+export const DEFAULT_FORMATS = ['reel'];
+
+// Shared by every format
+export const VIDEO_FPS = 30;
+
+// Bounds for the `duration` request parameter
+const MIN_DURATION_SECONDS = 5;
+const MAX_DURATION_SECONDS = 120;
+
+/**
+ * ID of the composition registered for a template and format
+ * @param {string} template - Key of REEL_TEMPLATES
+ * @param {string} format - Key of VIDEO_FORMATS
+ * @returns {string}
+ */
+export function getCompositionId(template, format) {
+  return `${REEL_TEMPLATES[template].compositionId}${VIDEO_FORMATS[format].idSuffix}`;
+}
+
+/**
+ * Composition settings of a template and format for a set of props, as
+ * calculateMetadata in Root.jsx resolves them
+ * @param {string} format - Key of VIDEO_FORMATS
+ * @param {Object} props - ListingReel props
+ * @param {string} [template] - Key of REEL_TEMPLATES
+ */
+export function getCompositionMetadata(format, props, template = DEFAULT_TEMPLATE) {
+  const { width, height } = VIDEO_FORMATS[format];
+  const { durationInFrames, scenes } = calculateSceneTiming(props, VIDEO_FPS, template);
+  return {
+    format,
+    template,
+    compositionId: getCompositionId(template, format),
+    width,
+    height,
+    fps: VIDEO_FPS,
+    durationInFrames,
+    durationInSeconds: durationInFrames / VIDEO_FPS,
+    scenes,
+  };
+}
+
+/**
+ * Validate requested bounds on the video length
+ * @param {Object} [duration] - `{ minSeconds, maxSeconds }`, either may be omitted
+ * @returns {{minSeconds: number, maxSeconds: number}|undefined} Limits for the
+ *   `durationLimits` prop, or undefined to keep the composition defaults
+ */
+export function resolveDurationLimits(duration) {
+  if (duration === undefined) {
+    return undefined;
+  }
+
+  if (!duration || typeof duration !== 'object' || Array.isArray(duration)) {
+    throw new Error('Invalid duration - expected an object with minSeconds and/or maxSeconds');
+  }
+
+  for (const name of ['minSeconds', 'maxSeconds']) {
+    const value = duration[name];
+    if (value !== undefined && (typeof value !== 'number' || value < MIN_DURATION_SECONDS || value > MAX_DURATION_SECONDS)) {
+      throw new Error(`Invalid duration.${name} - expected ${MIN_DURATION_SECONDS} to ${MAX_DURATION_SECONDS} seconds`);
+    }
+  }
+
+  // A single bound keeps the default for the other, unless they would cross
+  const {
+    minSeconds = Math.min(DEFAULT_MIN_DURATION_SECONDS, duration.maxSeconds ?? Infinity),
+    maxSeconds = Math.max(DEFAULT_MAX_DURATION_SECONDS, duration.minSeconds ?? 0),
+  } = duration;
+
+  if (minSeconds > maxSeconds) {
+    throw new Error('Invalid duration - minSeconds is greater than maxSeconds');
+  }
+
+  return { minSeconds, maxSeconds };
+}
+
+/**
+ * Validate a requested scene list
+ * @param {Array<{name: string, durationInSeconds?: number}>} [scenes] - Scenes in playback order
+ * @returns {Array<{name: string, durationInSeconds?: number}>|undefined} Scenes for the
+ *   `scenes` prop, or undefined to play every scene in the default order
+ */
+export function resolveScenes(scenes) {
+  if (scenes === undefined) {
+    return undefined;
+  }
+
+  const result = sceneListSchema.safeParse(scenes);
+  if (!result.success) {
+    const details = result.error.issues
+      .map((issue) => (issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message))
+      .join('; ');
+    throw new Error(`Invalid scenes - ${details}`);
+  }
+
+  return result.data;
+}
+
+/**
+ * Validate a requested reel template
+ * @param {string} [template] - Key of REEL_TEMPLATES
+ * @returns {string|undefined} The template, or undefined to pick one from the
+ *   listing's categories (see pickListingTemplate)
+ */
+export function resolveTemplate(template) {
+  if (template === undefined) {
+    return undefined;
+  }
+
+  if (typeof template !== 'string' || !Object.hasOwn(REEL_TEMPLATES, template)) {
+    throw new Error(`Unknown template: ${template}. Supported: ${Object.keys(REEL_TEMPLATES).join(', ')}`);
+  }
+
+  return template;
+}
+
+/**
+ * Validate a requested list of formats
+ * @param {string[]} [formats] - Format names, defaults to DEFAULT_FORMATS
+ * @returns {string[]} De-duplicated format names
+ */
+export function resolveFormats(formats) {
+  if (formats === undefined) {
+    return DEFAULT_FORMATS;
+  }
+
+  if (!Array.isArray(formats) || formats.length === 0) {
+    throw new Error('Invalid formats - expected a non-empty array');
+  }
+
+  const unknown = formats.filter((format) => typeof format !== 'string' || !Object.hasOwn(VIDEO_FORMATS, format));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown formats: ${unknown.join(', ')}. Supported: ${Object.keys(VIDEO_FORMATS).join(', ')}`);
+  }
+
+  return [...new Set(formats)];
+}
+
+/**
+ * Check resolved duration limits leave every scene at least its minimum length
+ * (see getMinimumDurationSeconds). Without `scenes` the template's scenes are
+ * checked, or without a template those of every template it could be picked from.
+ * Scenes left out for lack of content are still counted.
+ * @param {{minSeconds: number, maxSeconds: number}} [durationLimits] - From resolveDurationLimits
+ * @param {Array<{name: string, durationInSeconds?: number}>} [scenes] - From resolveScenes
+ * @param {string} [template] - From resolveTemplate
+ * @throws {Error} If maxSeconds is too short
+ */
+export function checkDurationFitsScenes(durationLimits, scenes, template) {
+  if (!durationLimits) {
+    return;
+  }
+
+  const templates = template ? [REEL_TEMPLATES[template]] : Object.values(REEL_TEMPLATES);
+  const sceneLists = scenes
+    ? [scenes]
+    : templates.map((entry) => entry.scenes.map((name) => ({ name })));
+  const needed = Math.max(...sceneLists.map(getMinimumDurationSeconds));
+
+  if (durationLimits.maxSeconds < needed) {
+    throw new Error(`Invalid duration.maxSeconds - the scenes need at least ${needed} seconds`);
+  }
+}
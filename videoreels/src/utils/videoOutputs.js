@@ -0,0 +1,70 @@
+/**
+ * Extra deliverables rendered alongside the main MP4 of each format.
+ * Requested from /api/render-video via `outputs`.
+ */
+
+// Main MP4 - what every format renders by default. CRF comes from the quality preset.
+export const MAIN_VIDEO_OPTIONS = {
+  codec: 'h264',
+  pixelFormat: 'yuv420p',
+};
+
+export const VIDEO_OUTPUTS = {
+  // VP9 for inline web playback
+  webm: {
+    extension: 'webm',
+    contentType: 'video/webm',
+    renderOptions: {
+      codec: 'vp9',
+      crf: 32,
+      pixelFormat: 'yuv420p',
+    },
+  },
+  // Looping intro (its first 3 seconds) for marketplace grid tiles
+  gif: {
+    extension: 'gif',
+    contentType: 'image/gif',
+    // frameRange is set per video to where the intro plays (getIntroFrames in sceneTiming.js)
+    introPreview: true,
+    renderOptions: {
+      codec: 'gif',
+      everyNthFrame: 2, // 15fps
+      scale: 0.4,
+      // numberOfGifLoops is left unset: Remotion then loops forever, while 0 plays the GIF once
+    },
+  },
+  // Half resolution, capped bitrate for mobile data
+  mobile: {
+    extension: 'mp4',
+    contentType: 'video/mp4',
+    renderOptions: {
+      codec: 'h264',
+      scale: 0.5,
+      videoBitrate: '600k',
+      audioBitrate: '64k',
+      pixelFormat: 'yuv420p',
+    },
+  },
+};
+
+/**
+ * Validate a requested list of extra outputs
+ * @param {string[]} [outputs] - Output names, defaults to none
+ * @returns {string[]} De-duplicated output names
+ */
+export function resolveOutputs(outputs) {
+  if (outputs === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(outputs)) {
+    throw new Error('Invalid outputs - expected an array');
+  }
+
+  const unknown = outputs.filter((output) => typeof output !== 'string' || !Object.hasOwn(VIDEO_OUTPUTS, output));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown outputs: ${unknown.join(', ')}. Supported: ${Object.keys(VIDEO_OUTPUTS).join(', ')}`);
+  }
+
+  return [...new Set(outputs)];
+}
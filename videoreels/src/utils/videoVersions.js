@@ -0,0 +1,196 @@
+/**
+ * Version history of the media rendered for each listing
+ *
+ * Every uploaded file is recorded in the `listing_videos` table. Files from
+ * the same render job form one version. Once a listing points at new media,
+ * files from versions older than the last `VIDEO_VERSIONS_TO_KEEP` are
+ * deleted from storage, unless the listing still uses them.
+ */
+
+import { supabase } from './supabaseClient.js';
+import { getStoragePath, removeFiles } from './storageUpload.js';
+import { logger } from './logger.js';
+
+const DEFAULT_VERSIONS_TO_KEEP = 3;
+
+/**
+ * Number of versions to keep per listing, including the current one
+ */
+export function getVersionsToKeep() {
+  const keep = Number.parseInt(process.env.VIDEO_VERSIONS_TO_KEEP, 10);
+  return Number.isInteger(keep) && keep >= 1 ? keep : DEFAULT_VERSIONS_TO_KEEP;
+}
+
+/**
+ * Every media URL a listing row currently points at: videos, posters and extra outputs
+ * @param {Object} listing - Listing row
+ * @returns {string[]} Public URLs
+ */
+export function collectMediaUrls(listing) {
+  const urls = [
+    listing.video_url,
+    listing.video_poster_url,
+    ...Object.values(listing.video_urls || {}),
+    ...Object.values(listing.video_poster_urls || {}),
+    ...Object.values(listing.video_outputs || {}).flatMap((outputs) => Object.values(outputs || {})),
+  ];
+  return urls.filter(Boolean);
+}
+
+/**
+ * Record files uploaded by a render job. Failures are logged, not thrown -
+ * an untracked file is picked up later by the orphan cleanup script.
+ * @param {Object} params
+ * @param {string} params.listingId - Listing the files were rendered for
+ * @param {string} params.jobId - Render job that produced them
+ * @param {string} params.fingerprint - Inputs the files were rendered from
+ * @param {Array<{format: string, kind: string, url: string}>} params.files - Uploaded files.
+ *   `kind` is `video`, `poster` or an extra output name
+ */
+export async function recordListingVideos({ listingId, jobId, fingerprint, files }) {
+  if (files.length === 0) {
+    return;
+  }
+
+  const rows = await Promise.all(files.map(async ({ format, kind, url }) => ({
+    listing_id: listingId,
+    job_id: jobId,
+    format,
+    kind,
+    url,
+    storage_path: await getStoragePath(url),
+    fingerprint,
+  })));
+
+  const { error } = await supabase
+    .from('listing_videos')
+    .insert(rows);
+
+  if (error) {
+    logger.error('Failed to record listing videos', { listingId, error });
+  }
+}
+
+/**
+ * Delete files from versions older than the last `keep` for a listing.
+ * Call only after the listing has been updated to its new media.
+ * Failures are logged, not thrown - the render itself already succeeded.
+ * @param {Object} params
+ * @param {string} params.listingId - Listing to prune
+ * @param {string[]} params.keepUrls - URLs the listing now points at, never deleted
+ * @param {number} [params.keep] - Versions to keep, including the current one
+ * @returns {Promise<number>} Number of files deleted
+ */
+export async function pruneListingVideos({ listingId, keepUrls, keep = getVersionsToKeep() }) {
+  try {
+    const { data: rows, error } = await supabase
+      .from('listing_videos')
+      .select('id, job_id, storage_path')
+      .eq('listing_id', listingId)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    // Newest first, so the first `keep` distinct jobs are the versions to keep
+    const keptJobs = new Set();
+    for (const row of rows) {
+      if (keptJobs.size >= keep) {
+        break;
+      }
+      keptJobs.add(row.job_id);
+    }
+
+    const inUse = new Set(await Promise.all(keepUrls.map(getStoragePath)));
+    const expired = rows.filter((row) => !keptJobs.has(row.job_id) && !inUse.has(row.storage_path));
+
+    if (expired.length === 0) {
+      return 0;
+    }
+
+    logger.info('Pruning superseded files', { listingId, count: expired.length, keep });
+
+    await removeFiles(expired.map((row) => row.storage_path).filter(Boolean));
+
+    const { error: markError } = await supabase
+      .from('listing_videos')
+      .update({ deleted_at: new Date().toISOString() })
+      .in('id', expired.map((row) => row.id));
+
+    if (markError) {
+      throw new Error(markError.message);
+    }
+
+    return expired.length;
+  } catch (error) {
+    logger.error('Failed to prune listing videos', { listingId, error });
+    return 0;
+  }
+}
+
+/**
+ * Delete every stored file of a listing and clear its media columns.
+ * Used when a listing is deleted or taken off sale.
+ * @param {Object} params
+ * @param {string} params.listingId - Listing whose media is deleted
+ * @param {Object} [params.listingData] - Last known listing row, for media URLs
+ *   of a listing that has already been deleted
+ * @returns {Promise<number>} Number of files deleted
+ */
+export async function deleteListingVideos({ listingId, listingData }) {
+  const { data: rows, error } = await supabase
+    .from('listing_videos')
+    .select('id, storage_path')
+    .eq('listing_id', listingId)
+    .is('deleted_at', null);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const { data: listing } = await supabase
+    .from('listings')
+    .select('*')
+    .eq('id', listingId)
+    .maybeSingle();
+
+  // Files rendered before version tracking are only known from the listing's own columns
+  const listedPaths = await Promise.all(collectMediaUrls(listing || listingData || {}).map(getStoragePath));
+  const storagePaths = [...new Set([...rows.map((row) => row.storage_path), ...listedPaths])].filter(Boolean);
+
+  logger.info('Deleting listing media', { listingId, count: storagePaths.length });
+  await removeFiles(storagePaths);
+
+  if (rows.length > 0) {
+    const { error: markError } = await supabase
+      .from('listing_videos')
+      .update({ deleted_at: new Date().toISOString() })
+      .in('id', rows.map((row) => row.id));
+
+    if (markError) {
+      throw new Error(markError.message);
+    }
+  }
+
+  if (listing) {
+    const { error: updateError } = await supabase
+      .from('listings')
+      .update({
+        video_url: null,
+        video_urls: {},
+        video_poster_url: null,
+        video_poster_urls: {},
+        video_outputs: {},
+        video_fingerprint: null,
+      })
+      .eq('id', listingId);
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+  }
+
+  return storagePaths.length;
+}
@@ -0,0 +1,185 @@
+/**
+ * Dead-letter store for listings webhook events that could not be handled
+ *
+ * Events the webhook answers with a 5xx (render API unreachable, database
+ * errors...) are saved in `webhook_failures` with their error and attempt
+ * count, one row per event key (see getEventKey). They are listed and
+ * replayed with scripts/replay-webhooks.js. A replay goes through
+ * handleListingEvent like a live delivery, and renders are queued with the
+ * event key as idempotency key, so replaying an event whose render was
+ * queued after all does not render it twice. An event that removes the video
+ * is not replayed once the listing is active again, so an old failure cannot
+ * delete the video of a re-published listing.
+ */
+
+import { supabase } from './supabaseClient.js';
+import { getEventKey, getVideoAction, handleListingEvent } from './listingWebhook.js';
+import { logger } from './logger.js';
+
+async function findFailure(eventKey) {
+  const { data, error } = await supabase
+    .from('webhook_failures')
+    .select('*')
+    .eq('event_key', eventKey)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read webhook failure: ${error.message}`);
+  }
+
+  return data;
+}
+
+// A remove event is stale when the listing it removes is active now
+async function isStaleRemoveEvent(event) {
+  if (getVideoAction(event).action !== 'remove') {
+    return false;
+  }
+
+  const { data: listing, error } = await supabase
+    .from('listings')
+    .select('status')
+    .eq('id', event.old_record.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read listing: ${error.message}`);
+  }
+
+  return listing?.status === 'active';
+}
+
+/**
+ * Save a failed event, or count another attempt on an already saved one.
+ * Failures are logged, not thrown, so the webhook can still respond.
+ * @param {Object} params
+ * @param {Object} params.event - Webhook payload
+ * @param {string} params.error - Why handling the event failed
+ * @returns {Promise<Object|null>} The failure row, or null if it could not be saved
+ */
+export async function recordWebhookFailure({ event, error }) {
+  const eventKey = getEventKey(event);
+  const now = new Date().toISOString();
+
+  try {
+    const existing = await findFailure(eventKey);
+
+    const query = existing
+      ? supabase
+          .from('webhook_failures')
+          .update({ error, attempts: existing.attempts + 1, resolved_at: null, updated_at: now })
+          .eq('id', existing.id)
+      : supabase
+          .from('webhook_failures')
+          .insert({
+            event_key: eventKey,
+            event_type: event.type || null,
+            listing_id: (event.record || event.old_record)?.id ?? null,
+            payload: event,
+            error,
+            attempts: 1,
+          });
+
+    const { data, error: saveError } = await query.select().single();
+
+    if (saveError) {
+      throw new Error(saveError.message);
+    }
+
+    logger.warn('Webhook event saved for replay', { failureId: data.id, attempts: data.attempts });
+    return data;
+
+  } catch (saveError) {
+    logger.error('Failed to save webhook failure', { error: saveError, eventKey, event });
+    return null;
+  }
+}
+
+/**
+ * List saved webhook failures, oldest first
+ * @param {Object} [params]
+ * @param {boolean} [params.includeResolved] - Also list failures that were replayed successfully
+ * @returns {Promise<Object[]>} Rows from `webhook_failures`
+ */
+export async function listWebhookFailures({ includeResolved = false } = {}) {
+  let query = supabase
+    .from('webhook_failures')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (!includeResolved) {
+    query = query.is('resolved_at', null);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list webhook failures: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Fetch a saved webhook failure by ID
+ * @param {string} failureId - Row ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getWebhookFailure(failureId) {
+  const { data, error } = await supabase
+    .from('webhook_failures')
+    .select('*')
+    .eq('id', failureId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read webhook failure: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Handle a saved event again. A failure that was already resolved is not
+ * replayed, nor is a delete or deactivation of a listing that is active
+ * again; that failure is resolved as stale. Success resolves the failure;
+ * another failure counts an attempt.
+ * @param {Object} failure - Row from `webhook_failures`
+ * @returns {Promise<{status: number, body: Object, failure: Object}>} Result of the replay
+ *   and the updated row
+ */
+export async function replayWebhookFailure(failure) {
+  if (failure.resolved_at) {
+    return {
+      status: 200,
+      body: { success: true, message: 'Already replayed' },
+      failure,
+    };
+  }
+
+  const result = await isStaleRemoveEvent(failure.payload)
+    ? {
+        status: 200,
+        body: { success: true, message: 'Skipped stale event', reason: 'Listing is active again' },
+      }
+    : await handleListingEvent(failure.payload);
+  const now = new Date().toISOString();
+
+  const fields = result.status < 500
+    ? { resolved_at: now, attempts: failure.attempts + 1, updated_at: now }
+    : { error: result.body.error, attempts: failure.attempts + 1, updated_at: now };
+
+  const { data, error } = await supabase
+    .from('webhook_failures')
+    .update(fields)
+    .eq('id', failure.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update webhook failure: ${error.message}`);
+  }
+
+  logger.info('Webhook event replayed', { failureId: failure.id, status: result.status });
+  return { ...result, failure: data };
+}
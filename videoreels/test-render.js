@@ -3,51 +3,72 @@
  *
  * Run from project root:
  * node videoreels/test-render.js
+ *
+ * Pick a quality preset (draft, standard or premium; default standard):
+ * node videoreels/test-render.js --quality draft
+ *
+ * Pick a reel template (classic, bullion, numismatic or jewelry; default from
+ * the listing's categories, numismatic for this one):
+ * node videoreels/test-render.js --template bullion
+ *
+ * Also upload the result through the configured storage backend
+ * (STORAGE_DRIVER=local keeps everything on this machine):
+ * node videoreels/test-render.js --upload
+ *
+ * Or send a signed request to a deployed render API (needs RENDER_API_SECRET):
+ * node videoreels/test-render.js --api https://your-project.vercel.app
  */
 
-import { bundle } from '@remotion/bundler';
 import { renderMedia, selectComposition } from '@remotion/renderer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { generateDetailedDescription } from './src/utils/generateDescription.js';
+import { getDescriptionInput, buildListingVideoProps } from './src/utils/listingVideoProps.js';
+import { getBundleLocation } from './src/utils/bundleCache.js';
+import { createSignedRequest } from './src/utils/requestSigning.js';
+import { CHROMIUM_OPTIONS, getVideoRenderOptions, resolveQuality } from './src/utils/qualityPresets.js';
+import { MAIN_VIDEO_OPTIONS } from './src/utils/videoOutputs.js';
+import { getCompositionId, resolveTemplate } from './src/utils/videoFormats.js';
+import { pickListingTemplate } from './src/compositions/reelTemplates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Real listing data from database
-const testListingRaw = {
+// Real listing and seller rows from database
+const testListing = {
+  id: 'test-render',
   title: 'Lot of 4 Republic De Cuba Cinco Centavos Libertad',
   description: 'As pictured.',
   images: [
     'https://zstflevnkjsnxnbgtlms.supabase.co/storage/v1/object/public/listings/listings/d93e43ea-5fe4-44e6-aea9-3a7a24fa6f9e/4ksk1rzom44.jpg',
     'https://zstflevnkjsnxnbgtlms.supabase.co/storage/v1/object/public/listings/listings/d93e43ea-5fe4-44e6-aea9-3a7a24fa6f9e/g4dbi2k1lst.jpg',
   ],
-  specifications: {
-    category: 'Currency',
-    condition: 'Numismatic',
-    weight: '0.5 oz',
-  },
+  tier1_category: 'Currency',
+  condition: 'Numismatic',
+  weight: 0.5,
 };
 
-async function testVideoRender() {
+const testSeller = {
+  username: 'paulbryant',
+  full_name: 'Paul Bryant',
+};
+
+async function testVideoRender(quality, template = pickListingTemplate(testListing)) {
   try {
-    console.log('🎬 Starting test video generation...\n');
+    console.log(`🎬 Starting test video generation (${quality} quality, ${template} template)...\n`);
 
     // Generate AI description
     console.log('🤖 Generating AI description...');
-    const aiDescription = await generateDetailedDescription(testListingRaw);
+    const aiDescription = await generateDetailedDescription(getDescriptionInput(testListing));
     console.log('   ✅ Description:', aiDescription);
     console.log('');
 
-    // Prepare video data with AI description
-    const testListingData = {
-      listingTitle: testListingRaw.title,
-      listingDescription: aiDescription,
-      images: testListingRaw.images,
-      specifications: testListingRaw.specifications,
-      sellerName: 'Paul Bryant',
-      logoUrl: 'https://peermetals.com/peermetals.png',
-    };
+    // Same props the render API builds for this listing
+    const testListingData = buildListingVideoProps({
+      listing: testListing,
+      seller: testSeller,
+      description: aiDescription,
+    });
 
     console.log('📋 Video Data:');
     console.log('   Title:', testListingData.listingTitle);
@@ -55,19 +76,15 @@ async function testVideoRender() {
     console.log('   Seller:', testListingData.sellerName);
     console.log('');
 
-    // Step 1: Bundle the Remotion project
-    console.log('📦 Bundling Remotion project...');
-    const bundleLocation = await bundle({
-      entryPoint: path.join(__dirname, 'src', 'index.js'),
-      webpackOverride: (config) => config,
-    });
-    console.log(`✅ Bundle created at: ${bundleLocation}\n`);
+    // Step 1: Bundle the Remotion project (reuses a cached bundle if src/ is unchanged)
+    const bundleLocation = await getBundleLocation();
+    console.log(`✅ Bundle ready at: ${bundleLocation}\n`);
 
     // Step 2: Select the composition
     console.log('🎯 Selecting composition...');
     const composition = await selectComposition({
       serveUrl: bundleLocation,
-      id: 'ListingReel',
+      id: getCompositionId(template, 'reel'),
       inputProps: testListingData,
     });
     console.log(`✅ Composition selected: ${composition.id}`);
@@ -86,7 +103,6 @@ async function testVideoRender() {
     await renderMedia({
       composition,
       serveUrl: bundleLocation,
-      codec: 'h264',
       outputLocation: outputPath,
       inputProps: testListingData,
       onProgress: ({ progress, renderedFrames, encodedFrames, stitchStage }) => {
@@ -97,23 +113,22 @@ async function testVideoRender() {
           console.log(`   📊 Rendering: ${percent}% (${renderedFrames}/${composition.durationInFrames} frames)`);
         }
       },
-      // Performance settings - optimized for speed
-      concurrency: '50%', // Use 50% of CPU cores
-      // Quality settings - CRF 28 for faster encoding
-      crf: 28,
-      pixelFormat: 'yuv420p',
-      // Use number of CPU cores for parallel processing
-      numberOfGifLoops: null,
-      // Enable faster encoding
-      chromiumOptions: {
-        gl: 'angle', // Use ANGLE renderer for faster GPU acceleration
-      },
+      // Same codec and quality settings as the render API
+      ...getVideoRenderOptions(quality, MAIN_VIDEO_OPTIONS),
+      chromiumOptions: CHROMIUM_OPTIONS,
     });
 
     console.log('');
     console.log('✅ Video rendered successfully!');
     console.log(`   📁 Location: ${outputPath}`);
     console.log('');
+
+    if (process.argv.includes('--upload')) {
+      // Imported here so a plain local render needs no storage configuration
+      const { uploadFile } = await import('./src/utils/storageUpload.js');
+      await uploadFile(outputPath, 'video/mp4');
+      console.log('');
+    }
     console.log('🎉 Test complete! Open the video to preview.');
 
   } catch (error) {
@@ -127,5 +142,47 @@ async function testVideoRender() {
   }
 }
 
+// Queue a render of the test listing on a deployed render API
+async function testRemoteRender(apiUrl, quality, template) {
+  try {
+    console.log(`🌐 Sending signed render request to ${apiUrl}...\n`);
+
+    const { body, headers } = createSignedRequest({
+      listingData: testListing,
+      quality,
+      template,
+    });
+
+    const response = await fetch(`${apiUrl}/api/render-video`, {
+      method: 'POST',
+      headers,
+      body,
+    });
+    const result = await response.json();
+
+    console.log(`   Status: ${response.status}`);
+    console.log('   Response:', JSON.stringify(result, null, 2));
+
+    if (!response.ok) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('❌ Remote render request failed!');
+    console.error('   Error:', error.message);
+    process.exit(1);
+  }
+}
+
 // Run the test
-testVideoRender();
+const apiFlagIndex = process.argv.indexOf('--api');
+const qualityFlagIndex = process.argv.indexOf('--quality');
+const quality = resolveQuality(qualityFlagIndex !== -1 ? process.argv[qualityFlagIndex + 1] : undefined);
+const templateFlagIndex = process.argv.indexOf('--template');
+const template = resolveTemplate(templateFlagIndex !== -1 ? process.argv[templateFlagIndex + 1] : undefined);
+
+if (apiFlagIndex !== -1) {
+  testRemoteRender((process.argv[apiFlagIndex + 1] || '').replace(/\/$/, ''), quality, template);
+} else {
+  testVideoRender(quality, template);
+}
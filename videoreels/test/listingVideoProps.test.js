@@ -0,0 +1,206 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FALLBACK_SELLER,
+  MAX_DESCRIPTION_LENGTH,
+  getLogoUrl,
+  getDescriptionInput,
+  mapListingToVideoProps,
+  getVideoPropsErrors,
+  buildListingVideoProps,
+} from '../src/utils/listingVideoProps.js';
+
+const LISTING = {
+  id: 'listing-1',
+  title: '  1 oz Gold American Eagle  ',
+  description: '<p>Brilliant uncirculated.</p>',
+  images: ['https://cdn.example.com/front.jpg', 'https://cdn.example.com/back.jpg'],
+  tier1_category: 'Gold',
+  tier2_category: 'Coins',
+  condition: 'BU',
+  weight: 1,
+  purity: 0.9167,
+  year: 2024,
+};
+
+const SELLER = {
+  username: 'goldbug',
+  full_name: 'Sam Rivera',
+  avatar_url: 'https://cdn.example.com/sam.png',
+  reputation: 98,
+  is_verified: true,
+};
+
+let appUrl;
+
+beforeEach(() => {
+  appUrl = process.env.NEXT_PUBLIC_APP_URL;
+  delete process.env.NEXT_PUBLIC_APP_URL;
+});
+
+afterEach(() => {
+  if (appUrl === undefined) {
+    delete process.env.NEXT_PUBLIC_APP_URL;
+  } else {
+    process.env.NEXT_PUBLIC_APP_URL = appUrl;
+  }
+});
+
+test('maps a full listing and profile to valid props', () => {
+  process.env.NEXT_PUBLIC_APP_URL = 'https://peermetals.test';
+
+  const props = buildListingVideoProps({
+    listing: LISTING,
+    seller: SELLER,
+    description: 'A classic for every stack.',
+  });
+
+  assert.deepEqual(props, {
+    listingTitle: '1 oz Gold American Eagle',
+    listingDescription: 'A classic for every stack.',
+    images: LISTING.images,
+    specifications: {
+      category: 'Gold',
+      condition: 'BU',
+      weight: '1 oz',
+      purity: '0.9167',
+      year: '2024',
+    },
+    sellerName: 'Sam Rivera',
+    logoUrl: 'https://peermetals.test/peermetals.png',
+    durationLimits: undefined,
+    scenes: undefined,
+  });
+});
+
+test('passes duration limits and scenes through', () => {
+  const durationLimits = { minSeconds: 15, maxSeconds: 30 };
+  const scenes = [{ name: 'intro' }, { name: 'cta', durationInSeconds: 4 }];
+
+  const props = buildListingVideoProps({ listing: LISTING, seller: SELLER, description: 'x', durationLimits, scenes });
+
+  assert.deepEqual(props.durationLimits, durationLimits);
+  assert.deepEqual(props.scenes, scenes);
+  assert.equal(mapListingToVideoProps({ listing: LISTING, description: 'x' }).durationLimits, undefined);
+  assert.equal(mapListingToVideoProps({ listing: LISTING, description: 'x' }).scenes, undefined);
+});
+
+test('fills in missing and empty optional fields', () => {
+  const props = buildListingVideoProps({
+    listing: {
+      id: 'listing-2',
+      title: '   ',
+      description: null,
+      images: null,
+      tier1_category: '',
+      tier2_category: 'Rounds',
+      condition: null,
+      weight: '',
+      purity: undefined,
+    },
+    description: '',
+  });
+
+  assert.equal(props.listingTitle, 'New Listing');
+  assert.equal(props.listingDescription, '');
+  assert.deepEqual(props.images, []);
+  assert.deepEqual(props.specifications, {
+    category: 'Rounds',
+    condition: undefined,
+    weight: undefined,
+    purity: undefined,
+    year: undefined,
+  });
+  assert.equal(props.sellerName, FALLBACK_SELLER.full_name);
+});
+
+test('drops image entries that are not URLs', () => {
+  const props = mapListingToVideoProps({
+    listing: { ...LISTING, images: ['https://cdn.example.com/a.jpg', '', null, 42] },
+    description: 'x',
+  });
+
+  assert.deepEqual(props.images, ['https://cdn.example.com/a.jpg']);
+});
+
+test('falls back to the username, then the generic seller name', () => {
+  const listing = LISTING;
+  const description = 'x';
+
+  assert.equal(mapListingToVideoProps({ listing, description, seller: { username: 'goldbug', full_name: '' } }).sellerName, 'goldbug');
+  assert.equal(mapListingToVideoProps({ listing, description, seller: { username: null, full_name: null } }).sellerName, FALLBACK_SELLER.full_name);
+  assert.equal(mapListingToVideoProps({ listing, description, seller: null }).sellerName, FALLBACK_SELLER.full_name);
+});
+
+test('strips HTML and collapses whitespace in the description', () => {
+  const props = mapListingToVideoProps({
+    listing: LISTING,
+    description: '<p>Struck in <strong>22k</strong>\n  gold.</p><br/>',
+  });
+
+  assert.equal(props.listingDescription, 'Struck in 22k gold.');
+});
+
+test('cuts long descriptions with an ellipsis', () => {
+  const exact = 'a'.repeat(MAX_DESCRIPTION_LENGTH);
+  const long = `${'word '.repeat(60)}end`;
+
+  assert.equal(mapListingToVideoProps({ listing: LISTING, description: exact }).listingDescription, exact);
+
+  const cut = mapListingToVideoProps({ listing: LISTING, description: long }).listingDescription;
+  assert.equal(cut.length <= MAX_DESCRIPTION_LENGTH, true);
+  assert.match(cut, /^word word .*\.\.\.$/);
+});
+
+test('builds the AI description input from the raw listing columns', () => {
+  assert.deepEqual(getDescriptionInput(LISTING), {
+    title: LISTING.title,
+    description: LISTING.description,
+    specifications: {
+      category: 'Gold',
+      condition: 'BU',
+      weight: '1',
+      purity: '0.9167',
+      year: '2024',
+    },
+  });
+});
+
+test('uses the PeerMetals logo without NEXT_PUBLIC_APP_URL', () => {
+  assert.equal(getLogoUrl(), 'https://peermetals.com/peermetals.png');
+  assert.equal(mapListingToVideoProps({ listing: LISTING, description: 'x' }).logoUrl, 'https://peermetals.com/peermetals.png');
+});
+
+test('uses the app logo with NEXT_PUBLIC_APP_URL, with or without a trailing slash', () => {
+  process.env.NEXT_PUBLIC_APP_URL = 'https://peermetals.test/';
+  assert.equal(getLogoUrl(), 'https://peermetals.test/peermetals.png');
+
+  process.env.NEXT_PUBLIC_APP_URL = 'https://peermetals.test';
+  assert.equal(getLogoUrl(), 'https://peermetals.test/peermetals.png');
+});
+
+test('reports schema errors by prop path', () => {
+  const props = mapListingToVideoProps({
+    listing: LISTING,
+    durationLimits: { minSeconds: 15, maxSeconds: -1 },
+  });
+
+  assert.deepEqual(getVideoPropsErrors(props).map(({ path }) => path), [
+    'listingDescription',
+    'durationLimits.maxSeconds',
+  ]);
+  assert.deepEqual(getVideoPropsErrors(mapListingToVideoProps({ listing: LISTING, description: 'x' })), []);
+});
+
+test('throws with the listing ID and every schema error', () => {
+  assert.throws(
+    () => buildListingVideoProps({
+      listing: LISTING,
+      description: 'x',
+      scenes: [{ name: 'intro' }, { name: 'intro' }],
+    }),
+    {
+      message: 'Invalid video props for listing listing-1: scenes: Each scene can only be listed once',
+    }
+  );
+});
@@ -0,0 +1,115 @@
+import crypto from 'node:crypto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSignedRequest,
+  verifyWebhookSignature,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  SIGNATURE_TOLERANCE_SECONDS,
+} from '../src/utils/requestSigning.js';
+
+const SECRET = 'webhook-secret';
+const NOW = 1760000000;
+
+const PAYLOAD = {
+  type: 'UPDATE',
+  table: 'listings',
+  record: { id: 'listing-1', title: '1 oz Gold Maple Leaf' },
+};
+
+function signedDelivery({ timestamp = NOW, secret = SECRET } = {}) {
+  return createSignedRequest(PAYLOAD, { secret, timestamp });
+}
+
+test('accepts a delivery signed with the secret', () => {
+  const { body, headers } = signedDelivery();
+
+  assert.deepEqual(verifyWebhookSignature({ body, headers, secret: SECRET, now: NOW }), { valid: true });
+});
+
+test('accepts a body in jsonb text form as signed by the database trigger', () => {
+  // payload::text puts a space after every colon and comma, unlike JSON.stringify
+  const body = '{"type": "UPDATE", "table": "listings", "record": {"id": "listing-1", "status": "active"}}';
+  const digest = crypto.createHmac('sha256', SECRET).update(`${NOW}.${body}`).digest('hex');
+  const headers = {
+    [SIGNATURE_HEADER]: `sha256=${digest}`,
+    [TIMESTAMP_HEADER]: String(NOW),
+  };
+
+  assert.deepEqual(verifyWebhookSignature({ body, headers, secret: SECRET, now: NOW }), { valid: true });
+});
+
+test('reads Fetch API Headers regardless of header name case', () => {
+  const { body, headers } = signedDelivery();
+  const fetchHeaders = new Headers({
+    'X-PeerMetals-Signature': headers[SIGNATURE_HEADER],
+    'X-PeerMetals-Timestamp': headers[TIMESTAMP_HEADER],
+  });
+
+  assert.deepEqual(verifyWebhookSignature({ body, headers: fetchHeaders, secret: SECRET, now: NOW }), { valid: true });
+});
+
+test('rejects a delivery without signature headers', () => {
+  const { body, headers } = signedDelivery();
+
+  for (const missing of [SIGNATURE_HEADER, TIMESTAMP_HEADER]) {
+    const { [missing]: _, ...rest } = headers;
+    assert.deepEqual(verifyWebhookSignature({ body, headers: rest, secret: SECRET, now: NOW }), {
+      valid: false,
+      status: 401,
+      error: 'Missing request signature',
+    });
+  }
+});
+
+test('rejects a timestamp outside the tolerance', () => {
+  const { body, headers } = signedDelivery({ timestamp: NOW - SIGNATURE_TOLERANCE_SECONDS - 1 });
+
+  assert.deepEqual(verifyWebhookSignature({ body, headers, secret: SECRET, now: NOW }), {
+    valid: false,
+    status: 401,
+    error: 'Request timestamp outside the allowed window',
+  });
+});
+
+test('accepts a timestamp at the edge of the tolerance', () => {
+  const { body, headers } = signedDelivery({ timestamp: NOW - SIGNATURE_TOLERANCE_SECONDS });
+
+  assert.equal(verifyWebhookSignature({ body, headers, secret: SECRET, now: NOW }).valid, true);
+});
+
+test('rejects a signature made with another secret', () => {
+  const { body, headers } = signedDelivery({ secret: 'other-secret' });
+
+  assert.deepEqual(verifyWebhookSignature({ body, headers, secret: SECRET, now: NOW }), {
+    valid: false,
+    status: 403,
+    error: 'Invalid request signature',
+  });
+});
+
+test('rejects a body changed after signing', () => {
+  const { body, headers } = signedDelivery();
+  const tampered = body.replace('1 oz Gold Maple Leaf', '10 oz Gold Maple Leaf');
+
+  assert.notEqual(tampered, body);
+  assert.equal(verifyWebhookSignature({ body: tampered, headers, secret: SECRET, now: NOW }).status, 403);
+});
+
+test('rejects a body re-serialized with different whitespace', () => {
+  const { body, headers } = signedDelivery();
+  const reformatted = JSON.stringify(JSON.parse(body), null, 2);
+
+  assert.equal(verifyWebhookSignature({ body: reformatted, headers, secret: SECRET, now: NOW }).status, 403);
+});
+
+test('fails closed when no secret is configured', () => {
+  const { body, headers } = signedDelivery();
+
+  assert.deepEqual(verifyWebhookSignature({ body, headers, secret: '', now: NOW }), {
+    valid: false,
+    status: 500,
+    error: 'Request signing is not configured',
+  });
+});